@@ -1,24 +1,232 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
 const bcrypt = require('bcryptjs');
+const { revokeUserSessions } = require('../middleware/auth');
+const { sendMail, buildClientUrl } = require('../utils/mailer');
+const { recordAudit } = require('../utils/audit');
+const { escapeRegex } = require('../utils/textSearch');
 
-// Get all users
+// Get users with paging and filters (role, isActive, search by name/email)
 const getAllUsers = async (req, res) => {
   try {
-    const users = await User.find({}).select('-password');
-    res.status(200).json(users);
+    const { role, isActive, search, sortBy, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (role) query.role = role;
+    if (isActive === 'true') query.isActive = true;
+    else if (isActive === 'false') query.isActive = false;
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    let sort = {};
+    switch (sortBy) {
+      case 'nameAsc':
+        sort = { name: 1 };
+        break;
+      case 'oldest':
+        sort = { createdAt: 1 };
+        break;
+      case 'lastLogin':
+        sort = { lastLogin: -1 };
+        break;
+      default:
+        sort = { createdAt: -1 };
+    }
+
+    const pageNum = Math.max(Number(page) || 1, 1);
+    const limitNum = Math.min(Math.max(Number(limit) || 20, 1), 100);
+    const skip = (pageNum - 1) * limitNum;
+
+    const users = await User.find(query)
+      .select('-password -resetPasswordToken -resetPasswordExpire')
+      .sort(sort)
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await User.countDocuments(query);
+    const totalPages = Math.ceil(total / limitNum);
+
+    res.status(200).json({
+      users,
+      page: pageNum,
+      pages: totalPages,
+      total,
+      hasMore: pageNum < totalPages,
+    });
   } catch (error) {
     console.error('Error fetching users:', error);
     res.status(500).json({ message: 'Server error while fetching users' });
   }
 };
 
+// Change a user's role
+const updateUserRole = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+
+    const { role } = req.body;
+    const allowedRoles = User.schema.path('role').enumValues;
+
+    if (!allowedRoles.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${allowedRoles.join(', ')}` });
+    }
+
+    // Stop admins from locking themselves out
+    if (req.user._id.equals(req.params.id)) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+
+    const existingUser = await User.findById(req.params.id);
+    if (!existingUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role },
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'User',
+      entityId: user._id,
+      before: existingUser,
+      after: user
+    });
+
+    res.status(200).json({ message: 'User role updated successfully', user });
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    res.status(500).json({ message: 'Server error while updating user role' });
+  }
+};
+
+// Activate or deactivate a user
+const updateUserStatus = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+
+    const { isActive } = req.body;
+
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({ message: 'isActive must be true or false' });
+    }
+
+    if (req.user._id.equals(req.params.id)) {
+      return res.status(400).json({ message: 'You cannot change your own account status' });
+    }
+
+    const update = { $set: { isActive } };
+    // An admin activation also completes a pending email activation
+    if (isActive) {
+      update.$unset = { activationToken: 1, activationTokenExpires: 1 };
+    }
+
+    const existingUser = await User.findById(req.params.id);
+    if (!existingUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await User.findByIdAndUpdate(req.params.id, update, { new: true }).select('-password');
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'User',
+      entityId: user._id,
+      before: existingUser,
+      after: user
+    });
+
+    // Deactivated users are signed out everywhere
+    if (!isActive) {
+      await revokeUserSessions(user._id, 'account_deactivated');
+    }
+
+    res.status(200).json({
+      message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
+      user,
+    });
+  } catch (error) {
+    console.error('Error updating user status:', error);
+    res.status(500).json({ message: 'Server error while updating user status' });
+  }
+};
+
+// Force a user to choose a new password on their next login
+const forcePasswordReset = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const before = user.toObject();
+    const resetToken = user.getResetPasswordToken();
+    user.passwordResetRequired = true;
+    await user.save({ validateBeforeSave: false });
+
+    const revokedCount = await revokeUserSessions(user._id, 'forced_password_reset');
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'User',
+      entityId: user._id,
+      before,
+      after: user,
+      metadata: { operation: 'force_password_reset', revokedSessions: revokedCount }
+    });
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Password reset required',
+        text: `Hi ${user.name},\n\nAn administrator requires you to choose a new password. Use the link below within 10 minutes:\n\n${buildClientUrl(`/reset-password/${resetToken}`)}\n\nIf the link expires, request a new one from the forgot password page.`
+      });
+    } catch (mailError) {
+      // The flag stays set, the user can still use the forgot password flow
+      console.error('Forced reset email error:', mailError);
+    }
+
+    res.status(200).json({ message: 'Password reset forced successfully. The user has been signed out' });
+  } catch (error) {
+    console.error('Error forcing password reset:', error);
+    res.status(500).json({ message: 'Server error while forcing password reset' });
+  }
+};
+
 // Delete a user
 const deleteUser = async (req, res) => {
   try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+
     const user = await User.findByIdAndDelete(req.params.id);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
+
+    await revokeUserSessions(user._id, 'account_deleted');
+
+    await recordAudit(req, {
+      action: 'delete',
+      entityType: 'User',
+      entityId: user._id,
+      before: user
+    });
     res.status(200).json({ message: 'User deleted successfully' });
   } catch (error) {
     console.error('Error deleting user:', error);
@@ -26,6 +234,85 @@ const deleteUser = async (req, res) => {
   }
 };
 
+// Revoke every session of a user
+const revokeAllUserSessions = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const revokedCount = await revokeUserSessions(user._id, 'revoked_by_admin');
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'User',
+      entityId: user._id,
+      metadata: { operation: 'revoke_sessions', revokedSessions: revokedCount }
+    });
+    res.status(200).json({ message: 'User sessions revoked successfully', revokedCount });
+  } catch (error) {
+    console.error('Error revoking user sessions:', error);
+    res.status(500).json({ message: 'Server error while revoking sessions' });
+  }
+};
+
+// Query the audit trail by actor, entity, action and date range
+const getAuditLogs = async (req, res) => {
+  try {
+    const { actor, entityType, entityId, action, from, to, page = 1, limit = 50 } = req.query;
+
+    for (const [name, value] of Object.entries({ actor, entityId })) {
+      if (value && !mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({ message: `Invalid ${name} ID format` });
+      }
+    }
+
+    const query = {};
+    if (actor) query.actor = actor;
+    if (entityType) query.entityType = entityType;
+    if (entityId) query.entityId = entityId;
+    if (action) query.action = action;
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+      if (Object.values(query.createdAt).some(date => isNaN(date))) {
+        return res.status(400).json({ message: 'from and to must be valid dates' });
+      }
+    }
+
+    const pageNum = Math.max(Number(page) || 1, 1);
+    const limitNum = Math.min(Math.max(Number(limit) || 50, 1), 200);
+    const skip = (pageNum - 1) * limitNum;
+
+    const logs = await AuditLog.find(query)
+      .populate('actor', 'name email role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await AuditLog.countDocuments(query);
+    const totalPages = Math.ceil(total / limitNum);
+
+    res.status(200).json({
+      logs,
+      page: pageNum,
+      pages: totalPages,
+      total,
+      hasMore: pageNum < totalPages,
+    });
+  } catch (error) {
+    console.error('Error fetching audit logs:', error);
+    res.status(500).json({ message: 'Server error while fetching audit logs' });
+  }
+};
+
 // Create an admin user (for initial setup)
 const createAdminUser = async () => {
   try {
@@ -67,7 +354,12 @@ const initializeAdmin = async () => {
 
 module.exports = {
   getAllUsers,
+  updateUserRole,
+  updateUserStatus,
+  forcePasswordReset,
   deleteUser,
+  revokeAllUserSessions,
+  getAuditLogs,
   createAdminUser,
   initializeAdmin,
 };
\ No newline at end of file
@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const Product = require('../models/product');
+const { findVariant } = require('../utils/stockLedger');
+
+// Signed-in users get their own cart, guests use the cart ID from the x-cart-id header
+const findCart = async (req, { create = false } = {}) => {
+  if (req.user) {
+    const cart = await Cart.findOne({ user: req.user._id });
+    if (cart || !create) return cart;
+    return new Cart({ user: req.user._id, items: [] });
+  }
+
+  const guestId = req.headers['x-cart-id'];
+  if (guestId) {
+    const cart = await Cart.findOne({ guestId, user: { $exists: false } });
+    if (cart || !create) return cart;
+  }
+  if (!create) return null;
+
+  return new Cart({ guestId: crypto.randomUUID(), items: [] });
+};
+
+// Builds the cart response with live prices and stock from the Product model
+const buildCartView = async (cart) => {
+  if (!cart) {
+    return { cartId: null, items: [], itemCount: 0, subtotal: 0, hasIssues: false };
+  }
+
+  const productIds = cart.items.map(item => item.product);
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select('name image price stock reserved status expectedAt variants');
+  const productsById = new Map(products.map(product => [String(product._id), product]));
+
+  let subtotal = 0;
+  const items = cart.items.map(item => {
+    const product = productsById.get(String(item.product));
+    const variant = product && item.variant ? product.variants.id(item.variant) : null;
+
+    // The product or variant was removed from the catalog or discontinued
+    const discontinued = product && (product.status === 'discontinued' || (variant && variant.status === 'discontinued'));
+    if (!product || (item.variant && !variant) || discontinued) {
+      return {
+        id: item._id,
+        product: item.product,
+        variant: item.variant,
+        quantity: item.quantity,
+        priceAtAdd: item.priceAtAdd,
+        unavailable: true,
+      };
+    }
+
+    const available = variant ? variant.available : product.available;
+    const lineTotal = product.price * item.quantity;
+    subtotal += lineTotal;
+
+    return {
+      id: item._id,
+      product: item.product,
+      variant: item.variant,
+      name: product.name,
+      image: product.image,
+      size: variant ? variant.size : undefined,
+      color: variant ? variant.color : undefined,
+      quantity: item.quantity,
+      price: product.price,
+      priceAtAdd: item.priceAtAdd,
+      priceChanged: product.price !== item.priceAtAdd,
+      status: variant ? variant.status : product.status,
+      expectedAt: variant ? variant.expectedAt : product.expectedAt,
+      available,
+      outOfStock: available === 0,
+      insufficientStock: available < item.quantity,
+      lineTotal: parseFloat(lineTotal.toFixed(2)),
+    };
+  });
+
+  return {
+    cartId: cart.user ? null : cart.guestId,
+    items,
+    itemCount: items.reduce((count, item) => count + item.quantity, 0),
+    subtotal: parseFloat(subtotal.toFixed(2)),
+    hasIssues: items.some(item => item.unavailable || item.priceChanged || item.insufficientStock),
+  };
+};
+
+// Guests need the cart ID back to keep using the same cart
+const sendCart = async (res, cart, status = 200) => {
+  if (cart && !cart.user) {
+    res.set('x-cart-id', cart.guestId);
+  }
+  res.status(status).json(await buildCartView(cart));
+};
+
+// GET /api/cart
+const getCart = async (req, res) => {
+  try {
+    await sendCart(res, await findCart(req));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// POST /api/cart/items
+const addCartItem = async (req, res) => {
+  try {
+    const { productId, variantId, size, color } = req.body;
+    const quantity = Number(req.body.quantity || 1);
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ message: 'Quantity must be a positive integer' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ message: 'Invalid product ID format' });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    let variant = null;
+    if (variantId || size || color) {
+      variant = findVariant(product, { variantId, size, color });
+      if (!variant) {
+        return res.status(404).json({ message: 'Variant not found' });
+      }
+    }
+
+    if (product.status === 'discontinued' || (variant && variant.status === 'discontinued')) {
+      return res.status(409).json({ message: 'This product is discontinued' });
+    }
+
+    const cart = await findCart(req, { create: true });
+    cart.addItem({
+      product: product._id,
+      variant: variant ? variant._id : null,
+      quantity,
+      priceAtAdd: product.price,
+    });
+    await cart.save();
+
+    await sendCart(res, cart, 201);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// PUT /api/cart/items/:itemId, a quantity of 0 removes the line
+const updateCartItem = async (req, res) => {
+  try {
+    const quantity = Number(req.body.quantity);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      return res.status(400).json({ message: 'Quantity must be a non-negative integer' });
+    }
+
+    const cart = await findCart(req);
+    const item = cart && mongoose.Types.ObjectId.isValid(req.params.itemId) && cart.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Cart item not found' });
+    }
+
+    if (quantity === 0) {
+      item.deleteOne();
+    } else {
+      item.quantity = quantity;
+    }
+    await cart.save();
+
+    await sendCart(res, cart);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// DELETE /api/cart/items/:itemId
+const removeCartItem = async (req, res) => {
+  try {
+    const cart = await findCart(req);
+    const item = cart && mongoose.Types.ObjectId.isValid(req.params.itemId) && cart.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ message: 'Cart item not found' });
+    }
+
+    item.deleteOne();
+    await cart.save();
+
+    await sendCart(res, cart);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// DELETE /api/cart
+const clearCart = async (req, res) => {
+  try {
+    const cart = await findCart(req);
+    if (cart) {
+      cart.items = [];
+      await cart.save();
+    }
+
+    await sendCart(res, cart);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+module.exports = {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+};
@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
-const Category = require('../models/category');
+const Category = require('../models/Category');
 const Product = require('../models/product');
+const { recordAudit } = require('../utils/audit');
+const { emitEvent } = require('../utils/webhooks');
+const { syncCategoryNames } = require('../utils/productWrites');
 
 // Get all categories
 exports.getAllCategories = async (req, res) => {
@@ -34,6 +37,15 @@ exports.createCategory = async (req, res) => {
       description 
     });
     const savedCategory = await category.save();
+
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'Category',
+      entityId: savedCategory._id,
+      after: savedCategory
+    });
+    await emitEvent('category.created', savedCategory);
+
     res.status(201).json(savedCategory);
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -62,6 +74,20 @@ exports.updateCategory = async (req, res) => {
       },
       { new: true, runValidators: true }
     );
+
+    // Products keep a copy of the name for search
+    if (updatedCategory.name !== existingCategory.name) {
+      await syncCategoryNames(updatedCategory);
+    }
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'Category',
+      entityId: updatedCategory._id,
+      before: existingCategory,
+      after: updatedCategory
+    });
+    await emitEvent('category.updated', updatedCategory);
     
     return res.status(200).json(updatedCategory);
   } catch (error) {
@@ -86,12 +112,25 @@ exports.deleteCategory = async (req, res) => {
     }
 
     // this will associate the category to null
-    await Product.updateMany(
+    const unlinked = await Product.updateMany(
       { category: categoryId },
-      { $set: { category: null } }
+      { $set: { category: null, categoryName: null } }
     );
 
     await Category.findByIdAndDelete(categoryId);
+
+    await recordAudit(req, {
+      action: 'delete',
+      entityType: 'Category',
+      entityId: category._id,
+      before: category,
+      metadata: { unlinkedProducts: unlinked.modifiedCount }
+    });
+    await emitEvent('category.deleted', {
+      ...category.toJSON(),
+      unlinkedProducts: unlinked.modifiedCount
+    });
+
     res.status(200).json({
       message: 'Category deleted successfully and associated products updated'
     });
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const ImportJob = require('../models/ImportJob');
+const {
+  detectFormat,
+  readRows,
+  validateRows,
+  summarizeValidation,
+  runImportJob
+} = require('../utils/productImport');
+const { recordAudit } = require('../utils/audit');
+
+// Query and form fields arrive as strings
+const isTrue = (value) => value === true || value === 'true' || value === '1';
+
+// POST /api/admin/products/import, a CSV, JSON or NDJSON file in the "file" field
+const importProducts = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Upload a CSV, JSON or NDJSON file in the "file" field' });
+    }
+
+    const format = detectFormat(req.file);
+    if (!format) {
+      return res.status(400).json({ message: 'Only CSV, JSON or NDJSON files can be imported' });
+    }
+
+    const dryRun = isTrue(req.query.dryRun) || isTrue(req.body.dryRun);
+    const createCategories = isTrue(req.query.createCategories) || isTrue(req.body.createCategories);
+
+    const rows = readRows(req.file, format);
+    if (rows.length === 0) {
+      return res.status(400).json({ message: 'The file has no rows to import' });
+    }
+
+    const validation = await validateRows(rows, { createCategories });
+
+    // A dry run only reports what would happen
+    if (dryRun) {
+      return res.status(200).json({ dryRun: true, ...summarizeValidation(validation) });
+    }
+
+    const job = await ImportJob.create({
+      format,
+      filename: req.file.originalname,
+      options: { createCategories },
+      totalRows: rows.length,
+      createdBy: req.user._id,
+    });
+
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'ImportJob',
+      entityId: job._id,
+      after: job,
+    });
+
+    // Rows are written in the background, progress is on GET /api/admin/imports/:id
+    setImmediate(() => {
+      runImportJob(req, job, validation).catch(error => {
+        console.error(`Import job ${job._id} failed:`, error);
+      });
+    });
+
+    res.status(202).json({ job, validation: summarizeValidation(validation) });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// GET /api/admin/imports
+const getImportJobs = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+
+    const pageNum = Math.max(Number(page) || 1, 1);
+    const limitNum = Math.min(Math.max(Number(limit) || 20, 1), 100);
+    const skip = (pageNum - 1) * limitNum;
+
+    const jobs = await ImportJob.find(query)
+      .select('-rowErrors')
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await ImportJob.countDocuments(query);
+    const totalPages = Math.ceil(total / limitNum);
+
+    res.status(200).json({
+      jobs,
+      page: pageNum,
+      pages: totalPages,
+      total,
+      hasMore: pageNum < totalPages,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// GET /api/admin/imports/:id
+const getImportJob = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid import job ID format' });
+    }
+
+    const job = await ImportJob.findById(req.params.id).populate('createdBy', 'name email');
+    if (!job) {
+      return res.status(404).json({ message: 'Import job not found' });
+    }
+
+    res.status(200).json(job);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+module.exports = {
+  importProducts,
+  getImportJobs,
+  getImportJob,
+};
@@ -1,10 +1,39 @@
-const Product = require('../models/Product');
+const mongoose = require('mongoose');
+const Product = require('../models/product');
+const StockMovement = require('../models/StockMovement');
+const { recordAudit } = require('../utils/audit');
+const Reservation = require('../models/Reservation');
+const {
+  findVariant,
+  recordMovement,
+  resolveLocation,
+  setStockLevel,
+  clearStock,
+  transferStock
+} = require('../utils/stockLedger');
+const reservations = require('../utils/reservations');
+
+// Builds a filter for products stocked at a location (product or variant level)
+const locationFilter = (location) => ({
+  $or: [
+    { 'locations.location': location },
+    { 'variants.locations.location': location },
+  ],
+});
 
 const getAllInventory = async (req, res) => {
   try {
-    const inventory = await Product.find({})
-      .select('name stock variants inventoryLocation inventoryStatus category price')
-      .populate('category', 'name');
+    const { location } = req.query;
+
+    if (location && !mongoose.Types.ObjectId.isValid(location)) {
+      return res.status(400).json({ message: 'Invalid location ID format' });
+    }
+
+    const inventory = await Product.find(location ? locationFilter(location) : {})
+      .select('name stock reserved locations variants status expectedAt reorderPoint reorderQuantity safetyStock category price')
+      .populate('category', 'name')
+      .populate('locations.location', 'name code')
+      .populate('variants.locations.location', 'name code');
     res.status(200).json(inventory);
   } catch (error) {
     console.error(error);
@@ -12,18 +41,91 @@ const getAllInventory = async (req, res) => {
   }
 };
 
+// Low-stock threshold for items without their own reorder point
+const DEFAULT_LOW_STOCK_THRESHOLD = 10;
+
+// Stock of a product or variant in an expression: its total, or what it holds at a location
+const stockAt = (path, location) => (location
+  ? {
+    $sum: {
+      $map: {
+        input: {
+          $filter: {
+            input: { $ifNull: [`${path}.locations`, []] },
+            as: 'held',
+            cond: { $eq: ['$$held.location', new mongoose.Types.ObjectId(location)] },
+          },
+        },
+        as: 'held',
+        in: '$$held.quantity',
+      },
+    },
+  }
+  : { $ifNull: [`${path}.stock`, 0] });
+
+// Whether a product or variant is at or below its own reorder point, as needsReorder does
+const atReorderPoint = (path, location) => ({
+  $and: [
+    { $ne: [`${path}.status`, 'discontinued'] },
+    { $lte: [stockAt(path, location), { $ifNull: [`${path}.reorderPoint`, DEFAULT_LOW_STOCK_THRESHOLD] }] },
+  ],
+});
+
 const getLowStockItems = async (req, res) => {
   try {
-    const threshold = parseInt(req.params.threshold) || 10;
+    const { location } = req.query;
+
+    if (location && !mongoose.Types.ObjectId.isValid(location)) {
+      return res.status(400).json({ message: 'Invalid location ID format' });
+    }
 
-    const lowStockItems = await Product.find({ stock: { $lt: threshold } })
-      .select('name stock variants category price')
+    // Without a threshold every product and variant is compared against its own reorder point
+    if (req.params.threshold === undefined) {
+      const lowStockItems = await Product.find({
+        status: { $ne: 'discontinued' },
+        ...(location ? locationFilter(location) : {}),
+        $expr: {
+          $or: [
+            atReorderPoint('$$ROOT', location),
+            {
+              $anyElementTrue: [{
+                $map: { input: { $ifNull: ['$variants', []] }, as: 'variant', in: atReorderPoint('$$variant', location) },
+              }],
+            },
+          ],
+        },
+      })
+        .select('name stock locations variants status reorderPoint reorderQuantity safetyStock category price')
+        .populate('category', 'name');
+
+      return res.status(200).json(lowStockItems);
+    }
+
+    const threshold = parseInt(req.params.threshold) || DEFAULT_LOW_STOCK_THRESHOLD;
+
+    // Below the threshold, as this endpoint always matched (only the reorder
+    // point mode above is inclusive). With a location, compare the quantity
+    // held there instead of the total.
+    // Discontinued products and variants are not restocked, so they are left out.
+    const productQuery = location
+      ? { locations: { $elemMatch: { location, quantity: { $lt: threshold } } } }
+      : { stock: { $lt: threshold } };
+    productQuery.status = { $ne: 'discontinued' };
+    const variantQuery = {
+      status: { $ne: 'discontinued' },
+      variants: {
+        $elemMatch: location
+          ? { status: { $ne: 'discontinued' }, locations: { $elemMatch: { location, quantity: { $lt: threshold } } } }
+          : { status: { $ne: 'discontinued' }, stock: { $lt: threshold } }
+      }
+    };
+
+    const lowStockItems = await Product.find(productQuery)
+      .select('name stock locations variants category price')
       .populate('category', 'name');
 
-    const lowVariantStockItems = await Product.find({
-      variants: { $elemMatch: { stock: { $lt: threshold } } }
-    })
-      .select('name stock variants category price')
+    const lowVariantStockItems = await Product.find(variantQuery)
+      .select('name stock locations variants category price')
       .populate('category', 'name');
 
     const combinedResults = [...lowStockItems];
@@ -40,7 +142,398 @@ const getLowStockItems = async (req, res) => {
   }
 };
 
+// Sends ledger errors with their status, anything else as a server error
+const handleLedgerError = (res, error) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(error);
+  res.status(500).json({ message: 'Server Error' });
+};
+
+// Sets absolute stock levels ({ stock, variants: [{ _id | size/color, stock }] })
+// by recording the differences as ledger adjustments
+const applyInventoryUpdate = async (req, productId, { stock, variants = [], location }, reference) => {
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    return { status: 400, message: 'Invalid product ID format' };
+  }
+
+  const product = await Product.findById(productId);
+  if (!product) {
+    return { status: 404, message: 'Product not found' };
+  }
+
+  // Every entry is checked before the first change, so a bad one changes nothing
+  const isStockLevel = value => Number.isInteger(value) && value >= 0;
+  if (stock !== undefined && !isStockLevel(stock)) {
+    return { status: 400, message: 'Stock must be a non-negative integer' };
+  }
+  if (!Array.isArray(variants)) {
+    return { status: 400, message: 'Variants must be an array' };
+  }
+  const variantChanges = [];
+  for (const variantUpdate of variants) {
+    const variant = variantUpdate && findVariant(product, variantUpdate);
+    if (!variant) {
+      return { status: 404, message: 'Variant not found' };
+    }
+    if (!isStockLevel(variantUpdate.stock)) {
+      return { status: 400, message: 'Variant stock must be a non-negative integer' };
+    }
+    variantChanges.push({ variantId: variant._id, stock: variantUpdate.stock, location: variantUpdate.location || location });
+  }
+  const locations = [location, ...variantChanges.map(change => change.location)].filter(Boolean);
+  for (const entry of new Set(locations.map(String))) {
+    await resolveLocation(entry);
+  }
+
+  const before = product.toObject();
+
+  if (stock !== undefined) {
+    await setStockLevel({ productId, stock, location, reference, actor: req.user });
+  }
+
+  for (const change of variantChanges) {
+    await setStockLevel({ productId, ...change, reference, actor: req.user });
+  }
+
+  const updatedProduct = await Product.findById(productId);
+
+  await recordAudit(req, {
+    action: 'update',
+    entityType: 'Product',
+    entityId: product._id,
+    before,
+    after: updatedProduct,
+    metadata: { operation: 'inventory_update' }
+  });
+
+  return { status: 200, product: updatedProduct };
+};
+
+const updateInventory = async (req, res) => {
+  try {
+    const result = await applyInventoryUpdate(req, req.params.id, req.body, 'inventory-update');
+    if (!result.product) {
+      return res.status(result.status).json({ message: result.message });
+    }
+    res.status(200).json(result.product);
+  } catch (error) {
+    handleLedgerError(res, error);
+  }
+};
+
+// Clears the stock of a product and all of its variants
+const deleteInventory = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid product ID format' });
+    }
+
+    const existingProduct = await Product.findById(req.params.id);
+    if (!existingProduct) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const clear = { productId: existingProduct._id, reference: 'inventory-clear', actor: req.user };
+    await clearStock({ ...clear, item: existingProduct });
+    for (const variant of existingProduct.variants) {
+      await clearStock({ ...clear, variantId: variant._id, item: variant });
+    }
+
+    const product = await Product.findById(existingProduct._id);
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'Product',
+      entityId: product._id,
+      before: existingProduct,
+      after: product,
+      metadata: { operation: 'inventory_clear' }
+    });
+
+    res.status(200).json({ message: 'Inventory cleared successfully', product });
+  } catch (error) {
+    handleLedgerError(res, error);
+  }
+};
+
+// Records a single stock movement (receipt, sale, return, adjustment, write-off)
+const createMovement = async (req, res) => {
+  try {
+    const { variantId, size, color, quantity, reason, reference, note, location } = req.body;
+
+    let resolvedVariantId = variantId;
+    if (!variantId && (size || color)) {
+      const product = await Product.findById(req.params.id).select('variants');
+      const variant = product && findVariant(product, { size, color });
+      if (!variant) {
+        return res.status(404).json({ message: 'Variant not found' });
+      }
+      resolvedVariantId = variant._id;
+    }
+
+    const { movement, product } = await recordMovement({
+      productId: req.params.id,
+      variantId: resolvedVariantId,
+      quantity: Number(quantity),
+      reason,
+      reference,
+      note,
+      location,
+      actor: req.user,
+    });
+
+    res.status(201).json({ movement, stock: product.stock, variants: product.variants });
+  } catch (error) {
+    handleLedgerError(res, error);
+  }
+};
+
+// Stock movement history of a product, newest first
+const getMovements = async (req, res) => {
+  try {
+    const { variantId, reason, location, from, to, page = 1, limit = 50 } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid product ID format' });
+    }
+    if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+      return res.status(400).json({ message: 'Invalid variant ID format' });
+    }
+    if (location && !mongoose.Types.ObjectId.isValid(location)) {
+      return res.status(400).json({ message: 'Invalid location ID format' });
+    }
+
+    const query = { product: req.params.id };
+    if (variantId) query.variant = variantId;
+    if (reason) query.reason = reason;
+    if (location) query.location = location;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const pageNum = Math.max(Number(page) || 1, 1);
+    const limitNum = Math.min(Math.max(Number(limit) || 50, 1), 200);
+    const skip = (pageNum - 1) * limitNum;
+
+    const movements = await StockMovement.find(query)
+      .populate('actor', 'name email')
+      .populate('location', 'name code')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await StockMovement.countDocuments(query);
+    const totalPages = Math.ceil(total / limitNum);
+
+    res.status(200).json({
+      movements,
+      page: pageNum,
+      pages: totalPages,
+      total,
+      hasMore: pageNum < totalPages,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// Applies a batch of ledger entries and reports the outcome of each one
+const bulkUpdateInventory = async (req, res) => {
+  try {
+    const { movements } = req.body;
+
+    if (!Array.isArray(movements) || movements.length === 0) {
+      return res.status(400).json({ message: 'Provide a non-empty movements array' });
+    }
+
+    const results = [];
+    for (const entry of movements) {
+      try {
+        let variantId = entry.variantId;
+        if (!variantId && (entry.size || entry.color)) {
+          const product = mongoose.Types.ObjectId.isValid(entry.productId)
+            && await Product.findById(entry.productId).select('variants');
+          const variant = product && findVariant(product, entry);
+          if (!variant) {
+            throw Object.assign(new Error('Variant not found'), { status: 404 });
+          }
+          variantId = variant._id;
+        }
+
+        const { movement } = await recordMovement({
+          productId: entry.productId,
+          variantId,
+          quantity: Number(entry.quantity),
+          reason: entry.reason,
+          reference: entry.reference,
+          note: entry.note,
+          location: entry.location,
+          actor: req.user,
+        });
+        results.push({ productId: entry.productId, success: true, movement: movement._id, balanceAfter: movement.balanceAfter });
+      } catch (error) {
+        if (!error.status) throw error;
+        results.push({ productId: entry.productId, success: false, message: error.message });
+      }
+    }
+
+    const failed = results.filter(r => !r.success).length;
+
+    res.status(failed ? 207 : 201).json({
+      recorded: results.length - failed,
+      failed,
+      results,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// Moves stock between two locations, the total stock stays the same
+const createTransfer = async (req, res) => {
+  try {
+    const { productId, variantId, size, color, from, to, quantity, reference, note } = req.body;
+
+    let resolvedVariantId = variantId;
+    if (!variantId && (size || color)) {
+      const product = mongoose.Types.ObjectId.isValid(productId)
+        && await Product.findById(productId).select('variants');
+      const variant = product && findVariant(product, { size, color });
+      if (!variant) {
+        return res.status(404).json({ message: 'Variant not found' });
+      }
+      resolvedVariantId = variant._id;
+    }
+
+    const { movements, product } = await transferStock({
+      productId,
+      variantId: resolvedVariantId,
+      from,
+      to,
+      quantity: Number(quantity),
+      reference,
+      note,
+      actor: req.user,
+    });
+
+    res.status(201).json({ movements, locations: resolvedVariantId ? product.variants.id(resolvedVariantId).locations : product.locations });
+  } catch (error) {
+    handleLedgerError(res, error);
+  }
+};
+
+// Reservations can be managed by the customer who made them or by an admin
+const canManageReservation = (req, reservation) => {
+  return req.user.role === 'admin' || (reservation.user && reservation.user.equals(req.user._id));
+};
+
+const findReservationForRequest = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid reservation ID format' });
+    return null;
+  }
+
+  const reservation = await Reservation.findById(req.params.id);
+  if (!reservation || !canManageReservation(req, reservation)) {
+    res.status(404).json({ message: 'Reservation not found' });
+    return null;
+  }
+  return reservation;
+};
+
+// Holds stock of a product or variant for a limited time
+const createReservation = async (req, res) => {
+  try {
+    const { productId, variantId, size, color, quantity, ttlSeconds, reference } = req.body;
+
+    let resolvedVariantId = variantId;
+    if (!variantId && (size || color)) {
+      const product = mongoose.Types.ObjectId.isValid(productId)
+        && await Product.findById(productId).select('variants');
+      const variant = product && findVariant(product, { size, color });
+      if (!variant) {
+        return res.status(404).json({ message: 'Variant not found' });
+      }
+      resolvedVariantId = variant._id;
+    }
+
+    const reservation = await reservations.holdStock({
+      productId,
+      variantId: resolvedVariantId,
+      quantity: Number(quantity),
+      ttlSeconds,
+      user: req.user,
+      reference,
+    });
+
+    res.status(201).json(reservation);
+  } catch (error) {
+    handleLedgerError(res, error);
+  }
+};
+
+const getReservation = async (req, res) => {
+  try {
+    const reservation = await findReservationForRequest(req, res);
+    if (!reservation) return;
+    res.status(200).json(reservation);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// Converts the hold into a permanent stock decrement
+const confirmReservation = async (req, res) => {
+  try {
+    const reservation = await findReservationForRequest(req, res);
+    if (!reservation) return;
+
+    const result = await reservations.confirmReservation(reservation._id, {
+      actor: req.user,
+      reference: req.body.reference,
+    });
+
+    res.status(200).json(result);
+  } catch (error) {
+    handleLedgerError(res, error);
+  }
+};
+
+// Gives the held units back before the hold expires
+const releaseReservation = async (req, res) => {
+  try {
+    const reservation = await findReservationForRequest(req, res);
+    if (!reservation) return;
+
+    const released = await reservations.releaseReservation(reservation._id);
+    if (!released) {
+      return res.status(409).json({ message: `Reservation is already ${reservation.status}` });
+    }
+
+    res.status(200).json({ message: 'Reservation released successfully', reservation: released });
+  } catch (error) {
+    handleLedgerError(res, error);
+  }
+};
+
 module.exports = {
   getAllInventory,
   getLowStockItems,
-};
\ No newline at end of file
+  updateInventory,
+  deleteInventory,
+  createMovement,
+  getMovements,
+  bulkUpdateInventory,
+  createTransfer,
+  createReservation,
+  getReservation,
+  confirmReservation,
+  releaseReservation,
+};
@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+const Location = require('../models/Location');
+const Product = require('../models/product');
+const { recordAudit } = require('../utils/audit');
+
+// Only one location can be the default, so setting it clears it everywhere else
+const clearOtherDefaults = async (locationId) => {
+  await Location.updateMany({ _id: { $ne: locationId }, isDefault: true }, { isDefault: false });
+};
+
+// Total stock held at a location across products and variants
+const stockAtLocation = async (locationId) => {
+  const [result] = await Product.aggregate([
+    {
+      $project: {
+        quantities: {
+          $concatArrays: [
+            { $ifNull: ['$locations', []] },
+            {
+              $reduce: {
+                input: { $ifNull: ['$variants', []] },
+                initialValue: [],
+                in: { $concatArrays: ['$$value', { $ifNull: ['$$this.locations', []] }] },
+              },
+            },
+          ],
+        },
+      },
+    },
+    { $unwind: '$quantities' },
+    { $match: { 'quantities.location': new mongoose.Types.ObjectId(locationId) } },
+    { $group: { _id: null, total: { $sum: '$quantities.quantity' } } },
+  ]);
+  return result ? result.total : 0;
+};
+
+// GET /api/admin/locations
+const getAllLocations = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
+
+    const locations = await Location.find(query).sort({ isDefault: -1, name: 1 });
+    res.status(200).json(locations);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// GET /api/admin/locations/:id
+const getLocationById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid location ID format' });
+    }
+
+    const location = await Location.findById(req.params.id);
+    if (!location) {
+      return res.status(404).json({ message: 'Location not found' });
+    }
+
+    res.status(200).json({ ...location.toObject(), totalStock: await stockAtLocation(location._id) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// POST /api/admin/locations
+const createLocation = async (req, res) => {
+  try {
+    const { name, code, address, isActive, isDefault } = req.body;
+
+    const existing = code && await Location.findOne({ code: String(code).toUpperCase() });
+    if (existing) {
+      return res.status(400).json({ message: 'A location with this code already exists' });
+    }
+
+    const location = await Location.create({ name, code, address, isActive, isDefault });
+    if (location.isDefault) {
+      await clearOtherDefaults(location._id);
+    }
+
+    await recordAudit(req, { action: 'create', entityType: 'Location', entityId: location._id, after: location });
+
+    res.status(201).json(location);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// PUT /api/admin/locations/:id
+const updateLocation = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid location ID format' });
+    }
+
+    const existingLocation = await Location.findById(req.params.id);
+    if (!existingLocation) {
+      return res.status(404).json({ message: 'Location not found' });
+    }
+
+    const updates = {};
+    ['name', 'code', 'address', 'isActive', 'isDefault'].forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    if (updates.isActive === false && (updates.isDefault || existingLocation.isDefault)) {
+      return res.status(400).json({ message: 'The default location cannot be deactivated' });
+    }
+
+    // Stock at an inactive location could no longer be moved out or sold
+    if (updates.isActive === false && existingLocation.isActive) {
+      const totalStock = await stockAtLocation(existingLocation._id);
+      if (totalStock > 0) {
+        return res.status(409).json({
+          message: 'Transfer the stock held at this location before deactivating it',
+          totalStock
+        });
+      }
+    }
+
+    const location = await Location.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
+    if (location.isDefault) {
+      await clearOtherDefaults(location._id);
+    }
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'Location',
+      entityId: location._id,
+      before: existingLocation,
+      after: location
+    });
+
+    res.status(200).json(location);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A location with this code already exists' });
+    }
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// DELETE /api/admin/locations/:id, only allowed once the location holds no stock
+const deleteLocation = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid location ID format' });
+    }
+
+    const location = await Location.findById(req.params.id);
+    if (!location) {
+      return res.status(404).json({ message: 'Location not found' });
+    }
+
+    const totalStock = await stockAtLocation(location._id);
+    if (totalStock > 0) {
+      return res.status(409).json({
+        message: 'Transfer the stock held at this location before deleting it',
+        totalStock
+      });
+    }
+
+    // Drop the empty entries so products don't reference a deleted location
+    await Product.updateMany(
+      { 'locations.location': location._id },
+      { $pull: { locations: { location: location._id } } }
+    );
+    await Product.updateMany(
+      { 'variants.locations.location': location._id },
+      { $pull: { 'variants.$[].locations': { location: location._id } } }
+    );
+    await location.deleteOne();
+
+    await recordAudit(req, { action: 'delete', entityType: 'Location', entityId: location._id, before: location });
+
+    res.status(200).json({ message: 'Location deleted successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+module.exports = {
+  getAllLocations,
+  getLocationById,
+  createLocation,
+  updateLocation,
+  deleteLocation,
+};
@@ -0,0 +1,345 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { ORDER_STATUS_TRANSITIONS } = require('../models/Order');
+const Product = require('../models/product');
+const Reservation = require('../models/Reservation');
+const { ledgerError, findVariant, recordMovement } = require('../utils/stockLedger');
+const { confirmReservation } = require('../utils/reservations');
+const { recordAudit } = require('../utils/audit');
+
+// Sends ledger errors with their status, anything else as a server error
+const handleOrderError = (res, error) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(error);
+  res.status(500).json({ message: 'Server Error' });
+};
+
+// Resolves request items into order lines with captured prices
+const buildOrderItems = async (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw ledgerError('Provide a non-empty items array', 400);
+  }
+
+  const lines = [];
+  for (const item of items) {
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw ledgerError('Item quantity must be a positive integer', 400);
+    }
+    if (!mongoose.Types.ObjectId.isValid(item.productId)) {
+      throw ledgerError('Invalid product ID format', 400);
+    }
+
+    const product = await Product.findById(item.productId);
+    if (!product) {
+      throw ledgerError(`Product ${item.productId} not found`, 404);
+    }
+
+    let variant = null;
+    if (item.variantId || item.size || item.color) {
+      variant = findVariant(product, item);
+      if (!variant) {
+        throw ledgerError(`Variant not found for ${product.name}`, 404);
+      }
+    }
+
+    if (product.status === 'discontinued' || (variant && variant.status === 'discontinued')) {
+      throw ledgerError(`${product.name} is discontinued`, 409);
+    }
+
+    lines.push({
+      product: product._id,
+      variant: variant ? variant._id : null,
+      name: product.name,
+      size: variant ? variant.size : undefined,
+      color: variant ? variant.color : undefined,
+      price: product.price,
+      quantity,
+      reservationId: item.reservationId,
+    });
+  }
+  return lines;
+};
+
+// Takes stock for a line, either from the customer's reservation or from available stock
+const takeStockForLine = async (line, { order, user }) => {
+  const reference = `order:${order._id}`;
+
+  if (line.reservationId) {
+    const reservation = mongoose.Types.ObjectId.isValid(line.reservationId)
+      && await Reservation.findById(line.reservationId);
+    const matches = reservation
+      && reservation.user && reservation.user.equals(user._id)
+      && reservation.product.equals(line.product)
+      && String(reservation.variant) === String(line.variant)
+      && reservation.quantity === line.quantity;
+
+    if (!matches) {
+      throw ledgerError('Reservation does not match the order item', 400);
+    }
+    return confirmReservation(reservation._id, { actor: user, reference });
+  }
+
+  return recordMovement({
+    productId: line.product,
+    variantId: line.variant,
+    quantity: -line.quantity,
+    reason: 'sale',
+    reference,
+    actor: user,
+  });
+};
+
+// Puts the stock of every order line back, recorded as returns
+const restoreStock = async (order, { actor, note }) => {
+  for (const item of order.items) {
+    await recordMovement({
+      productId: item.product,
+      variantId: item.variant,
+      quantity: item.quantity,
+      reason: 'return',
+      reference: `order:${order._id}`,
+      note,
+      actor,
+    });
+  }
+};
+
+/**
+ * Puts back the stock of the order lines that weren't restocked yet. Each
+ * line is marked before its return is recorded (and unmarked if that fails),
+ * so retries and concurrent requests never restock a line twice.
+ */
+const restockOrderLines = async (order, { actor, note }) => {
+  for (let index = 0; index < order.items.length; index++) {
+    const item = order.items[index];
+    if (item.restocked) continue;
+
+    const claimed = await Order.updateOne(
+      { _id: order._id, status: order.status, [`items.${index}.restocked`]: { $ne: true } },
+      { $set: { [`items.${index}.restocked`]: true } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    try {
+      await restoreStock({ _id: order._id, items: [item] }, { actor, note });
+    } catch (error) {
+      await Order.updateOne({ _id: order._id }, { $set: { [`items.${index}.restocked`]: false } });
+      throw error;
+    }
+    item.restocked = true;
+  }
+};
+
+// POST /api/orders
+const createOrder = async (req, res) => {
+  try {
+    const lines = await buildOrderItems(req.body.items);
+    const order = new Order({
+      user: req.user._id,
+      items: lines,
+      total: parseFloat(lines.reduce((sum, line) => sum + line.price * line.quantity, 0).toFixed(2)),
+      shippingAddress: req.body.shippingAddress || req.user.address,
+      statusHistory: [{ status: 'pending', changedBy: req.user._id }],
+    });
+
+    // Decrement line by line; an oversell puts back what was already taken
+    const taken = [];
+    try {
+      for (const line of lines) {
+        await takeStockForLine(line, { order, user: req.user });
+        taken.push(line);
+      }
+    } catch (error) {
+      await restoreStock({ _id: order._id, items: taken }, { actor: req.user, note: 'Order creation rolled back' });
+      throw error;
+    }
+
+    try {
+      await order.save();
+    } catch (error) {
+      await restoreStock(order, { actor: req.user, note: 'Order creation rolled back' });
+      throw error;
+    }
+
+    await recordAudit(req, { action: 'create', entityType: 'Order', entityId: order._id, after: order });
+
+    res.status(201).json(order);
+  } catch (error) {
+    handleOrderError(res, error);
+  }
+};
+
+// Moves an order to a new status and restores stock when it is cancelled
+// (or refunded with restock). Returns the updated order or throws.
+const transitionOrder = async (req, order, { status, note, restock }) => {
+  const allowed = ORDER_STATUS_TRANSITIONS[order.status] || [];
+  if (!allowed.includes(status)) {
+    throw ledgerError(`Cannot change an order from ${order.status} to ${status}`, 409);
+  }
+  const before = order.toObject();
+
+  // Stock goes back before the status changes, so a failure leaves the order
+  // as it was and the change can be retried
+  if (status === 'cancelled' || (status === 'refunded' && restock)) {
+    await restockOrderLines(order, { actor: req.user, note: `Order ${status}` });
+  }
+
+  // Guard on the current status so concurrent changes can't both win
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status },
+    {
+      status,
+      $push: { statusHistory: { status, changedBy: req.user._id, note } },
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw ledgerError('Order was changed by someone else, please retry', 409);
+  }
+
+  await recordAudit(req, {
+    action: 'update',
+    entityType: 'Order',
+    entityId: updated._id,
+    before,
+    after: updated,
+    metadata: { restocked: status === 'cancelled' || Boolean(restock) },
+  });
+
+  return updated;
+};
+
+const findOrderForRequest = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid order ID format' });
+    return null;
+  }
+
+  const order = await Order.findById(req.params.id);
+  const canView = order && (req.user.role === 'admin' || order.user.equals(req.user._id));
+  if (!canView) {
+    res.status(404).json({ message: 'Order not found' });
+    return null;
+  }
+  return order;
+};
+
+// GET /api/orders/:id
+const getOrderById = async (req, res) => {
+  try {
+    const order = await findOrderForRequest(req, res);
+    if (!order) return;
+    res.status(200).json(order);
+  } catch (error) {
+    handleOrderError(res, error);
+  }
+};
+
+// POST /api/orders/:id/cancel, customers can only cancel orders that are still pending
+const cancelOrder = async (req, res) => {
+  try {
+    const order = await findOrderForRequest(req, res);
+    if (!order) return;
+
+    if (req.user.role !== 'admin' && order.status !== 'pending') {
+      return res.status(409).json({ message: 'Only pending orders can be cancelled' });
+    }
+
+    const updated = await transitionOrder(req, order, { status: 'cancelled', note: req.body.note });
+    res.status(200).json(updated);
+  } catch (error) {
+    handleOrderError(res, error);
+  }
+};
+
+// PATCH /api/admin/orders/:id/status
+const updateOrderStatus = async (req, res) => {
+  try {
+    const { status, note, restock } = req.body;
+
+    if (!Object.prototype.hasOwnProperty.call(ORDER_STATUS_TRANSITIONS, status)) {
+      return res.status(400).json({ message: `Status must be one of: ${Object.keys(ORDER_STATUS_TRANSITIONS).join(', ')}` });
+    }
+
+    const order = await findOrderForRequest(req, res);
+    if (!order) return;
+
+    const updated = await transitionOrder(req, order, { status, note, restock: Boolean(restock) });
+    res.status(200).json(updated);
+  } catch (error) {
+    handleOrderError(res, error);
+  }
+};
+
+// Shared paging for order listings
+const listOrders = async (query, { page = 1, limit = 20 }) => {
+  const pageNum = Math.max(Number(page) || 1, 1);
+  const limitNum = Math.min(Math.max(Number(limit) || 20, 1), 100);
+  const skip = (pageNum - 1) * limitNum;
+
+  const orders = await Order.find(query)
+    .populate('user', 'name email')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await Order.countDocuments(query);
+  const totalPages = Math.ceil(total / limitNum);
+
+  return {
+    orders,
+    page: pageNum,
+    pages: totalPages,
+    total,
+    hasMore: pageNum < totalPages,
+  };
+};
+
+// GET /api/users/me/orders
+const getMyOrders = async (req, res) => {
+  try {
+    const query = { user: req.user._id };
+    if (req.query.status) query.status = req.query.status;
+
+    res.status(200).json(await listOrders(query, req.query));
+  } catch (error) {
+    handleOrderError(res, error);
+  }
+};
+
+// GET /api/admin/orders
+const getAllOrders = async (req, res) => {
+  try {
+    const { status, user, from, to } = req.query;
+
+    if (user && !mongoose.Types.ObjectId.isValid(user)) {
+      return res.status(400).json({ message: 'Invalid user ID format' });
+    }
+
+    const query = {};
+    if (status) query.status = status;
+    if (user) query.user = user;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    res.status(200).json(await listOrders(query, req.query));
+  } catch (error) {
+    handleOrderError(res, error);
+  }
+};
+
+module.exports = {
+  createOrder,
+  getOrderById,
+  cancelOrder,
+  updateOrderStatus,
+  getMyOrders,
+  getAllOrders,
+};
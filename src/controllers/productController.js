@@ -1,5 +1,40 @@
 // controllers/productController.js
-const Product = require('../models/Product');
+const mongoose = require('mongoose');
+const Product = require('../models/product');
+const {
+  PRODUCT_STATUS_TRANSITIONS,
+  DATED_STATUSES,
+  deriveStatus,
+  matchStatus
+} = require('../models/product');
+const { recordAudit } = require('../utils/audit');
+const { emitEvent } = require('../utils/webhooks');
+const { findVariant } = require('../utils/stockLedger');
+const { createProductWithStock, updateProductWithStock } = require('../utils/productWrites');
+const { buildProductQuery, buildProductSort } = require('../utils/productQuery');
+const { parseColumns, flattenProduct } = require('../utils/productExport');
+const { toCsvLine, guardFormula } = require('../utils/csv');
+
+const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+};
+
+// Resolves once the response can take more data, or the client went away
+const waitForDrain = (res) => new Promise(resolve => {
+  // A closed response already emitted its last event
+  if (res.destroyed || res.writableEnded) {
+    resolve();
+    return;
+  }
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
 
 // Get all products
 exports.getAllProducts = async (req, res) => {
@@ -11,6 +46,60 @@ exports.getAllProducts = async (req, res) => {
   }
 };
 
+// Stream the catalog as CSV or NDJSON, one record per variant.
+// Accepts the search filters, plus format and a comma-separated columns list.
+exports.exportProducts = async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ message: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const columns = parseColumns(req.query.columns);
+    const query = buildProductQuery(req.query);
+    const sort = req.query.sortBy ? buildProductSort(req.query.sortBy, req.query) : { _id: 1 };
+
+    // A cursor keeps only a batch of products in memory at a time
+    const cursor = Product.find(query).populate('category', 'name').sort(sort).lean().cursor();
+    res.on('close', () => {
+      cursor.close().catch(() => {});
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.status(200).set({
+      'Content-Type': EXPORT_FORMATS[format],
+      'Content-Disposition': `attachment; filename="products-${date}.${format}"`,
+    });
+
+    const write = async (chunk) => {
+      if (res.destroyed) return;
+      if (!res.write(chunk)) await waitForDrain(res);
+    };
+
+    if (format === 'csv') {
+      await write(toCsvLine(columns));
+    }
+
+    for await (const product of cursor) {
+      if (res.destroyed) break;
+      for (const record of flattenProduct(product, columns)) {
+        await write(format === 'csv'
+          ? toCsvLine(columns.map(column => guardFormula(record[column])))
+          : `${JSON.stringify(Object.fromEntries(columns.map(column => [column, record[column]])))}\n`);
+      }
+    }
+
+    res.end();
+  } catch (error) {
+    // Once streaming started the status can't change, cut the response short instead
+    if (res.headersSent) {
+      console.error(error);
+      return res.destroy(error);
+    }
+    res.status(error.status || 500).json({ message: error.message });
+  }
+};
+
 // Get product by ID
 exports.getProductById = async (req, res) => {
   try {
@@ -42,8 +131,16 @@ exports.createProduct = async (req, res) => {
       req.body.image = req.file.path;
     }
     
-    const product = new Product(req.body);
-    const savedProduct = await product.save();
+    const savedProduct = await createProductWithStock(req.body, { reference: 'product-create', actor: req.user });
+
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'Product',
+      entityId: savedProduct._id,
+      after: savedProduct
+    });
+    await emitEvent('product.created', savedProduct);
+
     res.status(201).json(savedProduct);
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -58,19 +155,103 @@ exports.updateProduct = async (req, res) => {
       req.body.image = req.file.path;
     }
     
-    const product = await Product.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    const existingProduct = await Product.findById(req.params.id);
+    if (!existingProduct) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
     
+    const product = await updateProductWithStock(existingProduct, req.body, {
+      reference: 'product-update',
+      actor: req.user
+    });
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'Product',
+      entityId: product._id,
+      before: existingProduct,
+      after: product
+    });
+    await emitEvent('product.updated', product);
     
     res.status(200).json(product);
   } catch (error) {
-    res.status(400).json({ message: error.message });
+    res.status(error.status || 400).json({ message: error.message });
+  }
+};
+
+// Change the lifecycle status of a product or one of its variants
+exports.updateProductStatus = async (req, res) => {
+  try {
+    const { status, expectedAt, variantId, size, color } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid product ID format' });
+    }
+    if (!Object.prototype.hasOwnProperty.call(PRODUCT_STATUS_TRANSITIONS, status)) {
+      return res.status(400).json({ message: `Status must be one of: ${Object.keys(PRODUCT_STATUS_TRANSITIONS).join(', ')}` });
+    }
+    if (status === 'backorder' && !expectedAt) {
+      return res.status(400).json({ message: 'Backordered items need an expectedAt date' });
+    }
+    if (expectedAt && isNaN(new Date(expectedAt).getTime())) {
+      return res.status(400).json({ message: 'expectedAt must be a valid date' });
+    }
+
+    const existingProduct = await Product.findById(req.params.id);
+    if (!existingProduct) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    let variant = null;
+    if (variantId || size || color) {
+      variant = findVariant(existingProduct, { variantId, size, color });
+      if (!variant) {
+        return res.status(404).json({ message: 'Variant not found' });
+      }
+    }
+
+    const item = variant || existingProduct;
+    const allowed = PRODUCT_STATUS_TRANSITIONS[item.status] || [];
+    if (!allowed.includes(status)) {
+      return res.status(409).json({ message: `Cannot change status from ${item.status} to ${status}` });
+    }
+
+    // Active items without stock go straight to out-of-stock
+    const newStatus = deriveStatus(status, item.stock || 0);
+    const prefix = variant ? 'variants.$.' : '';
+    const update = { $set: { [`${prefix}status`]: newStatus } };
+    if (DATED_STATUSES.includes(newStatus) && expectedAt) {
+      update.$set[`${prefix}expectedAt`] = new Date(expectedAt);
+    } else {
+      update.$unset = { [`${prefix}expectedAt`]: 1 };
+    }
+
+    // Guard on the current status so concurrent changes can't both win
+    const filter = variant
+      ? { _id: existingProduct._id, variants: { $elemMatch: { _id: variant._id, status: matchStatus(item.status) } } }
+      : { _id: existingProduct._id, status: matchStatus(item.status) };
+    const product = await Product.findOneAndUpdate(filter, update, { new: true });
+    if (!product) {
+      return res.status(409).json({ message: 'Status was changed by someone else, please retry' });
+    }
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'Product',
+      entityId: product._id,
+      before: existingProduct,
+      after: product,
+      metadata: { operation: 'status_change', variant: variant ? variant._id : undefined }
+    });
+    await emitEvent('product.updated', product);
+
+    res.status(200).json(product);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
   }
 };
 
@@ -82,6 +263,14 @@ exports.deleteProduct = async (req, res) => {
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
+
+    await recordAudit(req, {
+      action: 'delete',
+      entityType: 'Product',
+      entityId: product._id,
+      before: product
+    });
+    await emitEvent('product.deleted', product);
     
     res.status(200).json({ message: 'Product deleted successfully' });
   } catch (error) {
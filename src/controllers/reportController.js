@@ -1,206 +1,419 @@
-const Product = require('../models/Product');
+const Product = require('../models/product');
+const { needsReorder, suggestedOrderQuantity } = require('../utils/replenishment');
+const { parseReportFormat, sendReport } = require('../utils/reportFormats');
+const {
+  computeInventoryValue,
+  takeInventorySnapshot,
+  getInventoryValueHistory,
+} = require('../utils/inventoryValuation');
+const {
+  buildReportMatch,
+  parseStockBands,
+  parseAgingBuckets,
+  aggregateStockLevels,
+  aggregateLowStock,
+  aggregateStockAging,
+} = require('../utils/reportPipelines');
+const {
+  parseReportOptions,
+  getTopQueries,
+  getZeroResultQueries,
+  getLowClickThroughQueries,
+} = require('../utils/searchAnalytics');
+
+// Low-stock threshold for items without their own reorder point
+const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+// Sends invalid report options with their status, anything else as a server error
+const handleReportError = (res, error) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(error);
+  res.status(500).json({ message: 'Server Error' });
+};
 
 const getInventoryValueReport = async (req, res) => {
   try {
-    const products = await Product.find({})
-      .select('name price stock variants category')
-      .populate('category', 'name');
+    const format = parseReportFormat(req.query.format);
+    const match = buildReportMatch(req.query);
+    const value = await computeInventoryValue({ match });
+
+    const categoryValueArray = value.categories.map(category => ({
+      category: category.name,
+      categoryId: category.category,
+      value: category.value,
+      productCount: category.productCount,
+    }));
 
-    let totalValue = 0;
-    let categoryValues = {};
+    const report = {
+      totalValue: value.totalValue,
+      categories: categoryValueArray,
+      productCount: value.productCount,
+    };
 
-    products.forEach(product => {
-      const mainStockValue = product.price * product.stock;
-      let variantsStockValue = 0;
+    sendReport(res, format, {
+      name: 'inventory-value',
+      title: 'Inventory Value Report',
+      json: report,
+      summary: [
+        ['Total value', report.totalValue],
+        ['Products', report.productCount],
+      ],
+      columns: [
+        { key: 'category', label: 'Category' },
+        { key: 'productCount', label: 'Products' },
+        { key: 'value', label: 'Value' },
+      ],
+      rows: categoryValueArray,
+    });
+  } catch (error) {
+    handleReportError(res, error);
+  }
+};
 
-      if (product.variants && product.variants.length > 0) {
-        product.variants.forEach(variant => {
-          variantsStockValue += product.price * variant.stock;
-        });
-      }
+// GET /api/reports/inventory-value/history?from&to&interval=day|week|month
+const getInventoryValueHistoryReport = async (req, res) => {
+  try {
+    const { from, to, interval } = req.query;
+    const history = await getInventoryValueHistory({ from, to, interval });
+    res.status(200).json(history);
+  } catch (error) {
+    handleReportError(res, error);
+  }
+};
 
-      const itemValue = mainStockValue + variantsStockValue;
-      totalValue += itemValue;
+// POST /api/reports/inventory-value/snapshots, takes a snapshot now
+const createInventorySnapshot = async (req, res) => {
+  try {
+    const snapshot = await takeInventorySnapshot({ trigger: 'manual', actor: req.user });
+    res.status(201).json(snapshot);
+  } catch (error) {
+    handleReportError(res, error);
+  }
+};
 
-      const categoryName = product.category ? product.category.name : 'Uncategorized';
-      if (!categoryValues[categoryName]) {
-        categoryValues[categoryName] = 0;
-      }
-      categoryValues[categoryName] += itemValue;
+const getStockLevelReport = async (req, res) => {
+  try {
+    const format = parseReportFormat(req.query.format);
+    const match = buildReportMatch(req.query);
+    const bounds = parseStockBands(req.query.bands);
+
+    const { stockLevels, stats } = await aggregateStockLevels({ match, bounds });
+
+    sendReport(res, format, {
+      name: 'stock-levels',
+      title: 'Stock Level Report',
+      json: { stockLevels, stats },
+      summary: [
+        ['Products', stats.totalProducts],
+        ['Total stock items', stats.totalStockItems],
+        ['Average stock per product', stats.avgStockPerProduct],
+        ['Max stock', stats.maxStock],
+        ['Min stock', stats.minStock],
+        ...stockLevels.map(level => [level.level, level.count]),
+      ],
+      columns: [
+        { key: 'level', label: 'Stock Level' },
+        { key: 'id', label: 'Product ID' },
+        { key: 'name', label: 'Product' },
+        { key: 'stock', label: 'Stock' },
+      ],
+      rows: stockLevels.flatMap(level => level.products.map(product => ({ level: level.level, ...product }))),
     });
+  } catch (error) {
+    handleReportError(res, error);
+  }
+};
 
-    const categoryValueArray = Object.entries(categoryValues).map(([category, value]) => ({
-      category,
-      value: parseFloat(value.toFixed(2)),
-    }));
+const getLowStockReport = async (req, res) => {
+  try {
+    const format = parseReportFormat(req.query.format);
+    // Without a threshold every item is compared against its own reorder point
+    const threshold = req.query.threshold !== undefined
+      ? parseInt(req.query.threshold) || DEFAULT_LOW_STOCK_THRESHOLD
+      : undefined;
+    const match = buildReportMatch(req.query);
+
+    // Discontinued products and variants won't be restocked, so they are not reported
+    const processedProducts = await aggregateLowStock({
+      match,
+      threshold,
+      fallback: DEFAULT_LOW_STOCK_THRESHOLD,
+    });
 
-    res.status(200).json({
-      totalValue: parseFloat(totalValue.toFixed(2)),
-      categories: categoryValueArray,
-      productCount: products.length,
+    const lowStockRows = processedProducts.flatMap(product => {
+      const base = {
+        productId: product._id,
+        name: product.name,
+        category: product.category ? product.category.name : 'Uncategorized',
+        price: product.price,
+      };
+      const rows = product.mainStock.isLow
+        ? [{ ...base, stock: product.mainStock.quantity, reorderPoint: product.mainStock.reorderPoint }]
+        : [];
+      return rows.concat(product.lowVariants.map(variant => ({ ...base, ...variant })));
+    });
+
+    sendReport(res, format, {
+      name: 'low-stock',
+      title: 'Low Stock Report',
+      json: {
+        products: processedProducts,
+        count: processedProducts.length,
+        threshold: threshold !== undefined ? threshold : null,
+      },
+      summary: [
+        ['Products', processedProducts.length],
+        ['Threshold', threshold !== undefined ? threshold : 'Reorder point of each item'],
+      ],
+      columns: [
+        { key: 'productId', label: 'Product ID' },
+        { key: 'name', label: 'Product' },
+        { key: 'category', label: 'Category' },
+        { key: 'size', label: 'Size' },
+        { key: 'color', label: 'Color' },
+        { key: 'stock', label: 'Stock' },
+        { key: 'reorderPoint', label: 'Reorder Point' },
+        { key: 'price', label: 'Price' },
+      ],
+      rows: lowStockRows,
     });
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server Error' });
+    handleReportError(res, error);
   }
 };
 
-const getStockLevelReport = async (req, res) => {
+// Stock by days since it last changed, with the dead stock of each category
+const getStockAgingReport = async (req, res) => {
+  try {
+    const format = parseReportFormat(req.query.format);
+    const match = buildReportMatch(req.query);
+    const bounds = parseAgingBuckets(req.query.buckets);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 10, 1), 100);
+
+    const report = await aggregateStockAging({ match, bounds, limit });
+
+    sendReport(res, format, {
+      name: 'stock-aging',
+      title: 'Stock Aging Report',
+      json: { ...report, generatedAt: new Date() },
+      summary: [
+        ...report.buckets.map(bucket => [bucket.bucket, `${bucket.count} items, ${bucket.units} units, value ${bucket.value}`]),
+        ['Dead stock', `No stock change for ${report.deadAfterDays}+ days`],
+      ],
+      columns: [
+        { key: 'category', label: 'Category' },
+        { key: 'productId', label: 'Product ID' },
+        { key: 'sku', label: 'SKU' },
+        { key: 'name', label: 'Product' },
+        { key: 'size', label: 'Size' },
+        { key: 'color', label: 'Color' },
+        { key: 'status', label: 'Status' },
+        { key: 'stock', label: 'Stock' },
+        { key: 'price', label: 'Price' },
+        { key: 'value', label: 'Value' },
+        { key: 'lastStockChangeAt', label: 'Last Stock Change' },
+        { key: 'ageDays', label: 'Days Without Change' },
+      ],
+      rows: report.deadStock.flatMap(group => group.items.map(item => ({ category: group.category, ...item }))),
+    });
+  } catch (error) {
+    handleReportError(res, error);
+  }
+};
+
+// Items at or below their reorder point with how much to order, grouped by category.
+// Only products and variants with a reorder point are considered.
+const getReplenishmentReport = async (req, res) => {
   try {
-    const products = await Product.find({})
-      .select('name stock variants category')
+    const format = parseReportFormat(req.query.format);
+    const match = buildReportMatch(req.query);
+    const products = await Product.find({
+      ...match,
+      status: { $ne: 'discontinued' },
+      $or: [
+        { reorderPoint: { $ne: null } },
+        { 'variants.reorderPoint': { $ne: null } },
+      ],
+    })
+      .select('name stock reserved status reorderPoint reorderQuantity safetyStock variants category')
       .populate('category', 'name');
 
-    const stockLevels = {
-      'Out of Stock': { count: 0, products: [] },
-      'Low Stock': { count: 0, products: [] },
-      'Medium Stock': { count: 0, products: [] },
-      'High Stock': { count: 0, products: [] },
+    const toLine = (product, variant) => {
+      const item = variant || product;
+      return {
+        productId: product._id,
+        name: product.name,
+        variantId: variant ? variant._id : undefined,
+        size: variant ? variant.size : undefined,
+        color: variant ? variant.color : undefined,
+        status: item.status,
+        stock: item.stock || 0,
+        available: item.available,
+        reorderPoint: item.reorderPoint,
+        safetyStock: item.safetyStock || 0,
+        reorderQuantity: item.reorderQuantity || 0,
+        belowSafetyStock: (item.stock || 0) < (item.safetyStock || 0),
+        suggestedQuantity: suggestedOrderQuantity(item),
+      };
     };
 
-    let totalStockItems = 0;
-    let maxStock = 0;
-    let minStock = Infinity;
-    const stockValues = [];
-
+    const groups = {};
     products.forEach(product => {
-      totalStockItems += product.stock;
-      stockValues.push(product.stock);
-
-      if (product.stock > maxStock) maxStock = product.stock;
-      if (product.stock < minStock) minStock = product.stock;
-
-      let stockLevel;
-      if (product.stock === 0) {
-        stockLevel = 'Out of Stock';
-      } else if (product.stock <= 5) {
-        stockLevel = 'Low Stock';
-      } else if (product.stock <= 20) {
-        stockLevel = 'Medium Stock';
-      } else {
-        stockLevel = 'High Stock';
-      }
-
-      stockLevels[stockLevel].count++;
-      stockLevels[stockLevel].products.push({
-        id: product._id,
-        name: product.name,
-        stock: product.stock,
+      const lines = [];
+      if (needsReorder(product)) lines.push(toLine(product));
+      product.variants.forEach(variant => {
+        if (needsReorder(variant)) lines.push(toLine(product, variant));
       });
+      if (lines.length === 0) return;
 
-      if (product.variants && product.variants.length > 0) {
-        product.variants.forEach(variant => {
-          totalStockItems += variant.stock;
-          stockValues.push(variant.stock);
-
-          if (variant.stock > maxStock) maxStock = variant.stock;
-          if (variant.stock < minStock) minStock = variant.stock;
-        });
+      const categoryName = product.category ? product.category.name : 'Uncategorized';
+      if (!groups[categoryName]) {
+        groups[categoryName] = {
+          category: categoryName,
+          categoryId: product.category ? product.category._id : null,
+          items: [],
+          totalUnits: 0,
+        };
       }
+      groups[categoryName].items.push(...lines);
+      groups[categoryName].totalUnits += lines.reduce((sum, line) => sum + line.suggestedQuantity, 0);
     });
 
-    const avgStockPerProduct = totalStockItems / (products.length || 1);
-
-    const formattedStockLevels = Object.entries(stockLevels).map(([level, data]) => ({
-      level,
-      count: data.count,
-      products: data.products.slice(0, 5),
-    }));
+    const categories = Object.values(groups).sort((a, b) => a.category.localeCompare(b.category));
+    // Most urgent first: below safety stock, then lowest stock
+    categories.forEach(group => {
+      group.items.sort((a, b) => (b.belowSafetyStock - a.belowSafetyStock) || (a.stock - b.stock));
+    });
 
-    const stats = {
-      totalProducts: products.length,
-      totalStockItems,
-      avgStockPerProduct: parseFloat(avgStockPerProduct.toFixed(2)),
-      maxStock,
-      minStock: minStock === Infinity ? 0 : minStock,
+    const report = {
+      categories,
+      itemCount: categories.reduce((sum, group) => sum + group.items.length, 0),
+      totalUnits: categories.reduce((sum, group) => sum + group.totalUnits, 0),
+      generatedAt: new Date(),
     };
 
-    res.status(200).json({
-      stockLevels: formattedStockLevels,
-      stats,
+    sendReport(res, format, {
+      name: 'replenishment',
+      title: 'Replenishment Report',
+      json: report,
+      summary: [
+        ['Items to reorder', report.itemCount],
+        ['Units to order', report.totalUnits],
+      ],
+      columns: [
+        { key: 'category', label: 'Category' },
+        { key: 'productId', label: 'Product ID' },
+        { key: 'name', label: 'Product' },
+        { key: 'size', label: 'Size' },
+        { key: 'color', label: 'Color' },
+        { key: 'stock', label: 'Stock' },
+        { key: 'available', label: 'Available' },
+        { key: 'reorderPoint', label: 'Reorder Point' },
+        { key: 'safetyStock', label: 'Safety Stock' },
+        { key: 'reorderQuantity', label: 'Reorder Quantity' },
+        { key: 'suggestedQuantity', label: 'Suggested Quantity' },
+        { key: 'belowSafetyStock', label: 'Below Safety Stock' },
+      ],
+      rows: categories.flatMap(group => group.items.map(item => ({ category: group.category, ...item }))),
     });
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server Error' });
+    handleReportError(res, error);
   }
 };
 
-const getLowStockReport = async (req, res) => {
+// Columns shared by the search analytics reports
+const SEARCH_QUERY_COLUMNS = [
+  { key: 'query', label: 'Query' },
+  { key: 'searches', label: 'Searches' },
+  { key: 'zeroResultSearches', label: 'Zero-Result Searches' },
+  { key: 'avgResults', label: 'Average Results' },
+  { key: 'clickedSearches', label: 'Searches With a Click' },
+  { key: 'clickThroughRate', label: 'Click-Through Rate' },
+  { key: 'avgLatencyMs', label: 'Average Latency (ms)' },
+  { key: 'lastSearchedAt', label: 'Last Searched' },
+];
+
+const rangeSummary = options => [
+  ['From', options.from],
+  ['To', options.to],
+  ['Search type', options.type || 'All'],
+];
+
+// GET /api/reports/search/top-queries
+const getTopSearchQueriesReport = async (req, res) => {
   try {
-    const threshold = parseInt(req.query.threshold) || 5;
-
-    const mainStockProducts = await Product.find({ stock: { $lte: threshold, $gt: 0 } })
-      .select('name stock variants category price image')
-      .populate('category', 'name');
-
-    const variantStockProducts = await Product.find({
-      'variants.stock': { $lte: threshold, $gt: 0 },
-    })
-      .select('name stock variants category price image')
-      .populate('category', 'name');
-
-    const lowStockProducts = [...mainStockProducts];
-
-    variantStockProducts.forEach(product => {
-      if (!lowStockProducts.some(p => p._id.toString() === product._id.toString())) {
-        lowStockProducts.push(product);
-      }
+    const format = parseReportFormat(req.query.format);
+    const options = parseReportOptions(req.query);
+    const { queries, totalSearches } = await getTopQueries(options);
+
+    sendReport(res, format, {
+      name: 'top-search-queries',
+      title: 'Top Search Queries',
+      json: { ...options, totalSearches, queries },
+      summary: [...rangeSummary(options), ['Searches', totalSearches]],
+      columns: SEARCH_QUERY_COLUMNS,
+      rows: queries,
     });
+  } catch (error) {
+    handleReportError(res, error);
+  }
+};
 
-    const processedProducts = lowStockProducts.map(product => {
-      const isMainStockLow = product.stock <= threshold && product.stock > 0;
-      const lowStockVariants = product.variants.filter(
-        variant => variant.stock <= threshold && variant.stock > 0,
-      );
-
-      return {
-        _id: product._id,
-        name: product.name,
-        mainStock: {
-          quantity: product.stock,
-          isLow: isMainStockLow,
-        },
-        lowVariants: lowStockVariants.map(v => ({
-          size: v.size,
-          color: v.color,
-          stock: v.stock,
-        })),
-        category: product.category,
-        price: product.price,
-        image: product.image,
-      };
-    });
-
-    processedProducts.sort((a, b) => {
-      if (a.mainStock.isLow && b.mainStock.isLow) {
-        return a.mainStock.quantity - b.mainStock.quantity;
-      }
-      if (a.mainStock.isLow) return -1;
-      if (b.mainStock.isLow) return 1;
-
-      const aLowestVariant = a.lowVariants.length > 0
-        ? Math.min(...a.lowVariants.map(v => v.stock))
-        : Infinity;
-      const bLowestVariant = b.lowVariants.length > 0
-        ? Math.min(...b.lowVariants.map(v => v.stock))
-        : Infinity;
-
-      return aLowestVariant - bLowestVariant;
+// GET /api/reports/search/zero-results
+const getZeroResultSearchesReport = async (req, res) => {
+  try {
+    const format = parseReportFormat(req.query.format);
+    const options = parseReportOptions(req.query);
+    const { queries } = await getZeroResultQueries(options);
+
+    sendReport(res, format, {
+      name: 'zero-result-searches',
+      title: 'Zero-Result Searches',
+      json: { ...options, queries },
+      summary: rangeSummary(options),
+      columns: SEARCH_QUERY_COLUMNS,
+      rows: queries,
     });
+  } catch (error) {
+    handleReportError(res, error);
+  }
+};
 
-    res.status(200).json({
-      products: processedProducts,
-      count: processedProducts.length,
-      threshold,
+// GET /api/reports/search/low-click-through
+const getLowClickThroughReport = async (req, res) => {
+  try {
+    const format = parseReportFormat(req.query.format);
+    const options = parseReportOptions(req.query);
+    const { queries, minSearches, maxClickThrough } = await getLowClickThroughQueries(options, req.query);
+
+    sendReport(res, format, {
+      name: 'low-click-through-searches',
+      title: 'Searches With Low Click-Through',
+      json: { ...options, minSearches, maxClickThrough, queries },
+      summary: [
+        ...rangeSummary(options),
+        ['Minimum searches', minSearches],
+        ['Maximum click-through rate', maxClickThrough],
+      ],
+      columns: SEARCH_QUERY_COLUMNS,
+      rows: queries,
     });
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server Error' });
+    handleReportError(res, error);
   }
 };
 
 module.exports = {
   getInventoryValueReport,
+  getInventoryValueHistoryReport,
+  createInventorySnapshot,
   getStockLevelReport,
   getLowStockReport,
+  getReplenishmentReport,
+  getStockAgingReport,
+  getTopSearchQueriesReport,
+  getZeroResultSearchesReport,
+  getLowClickThroughReport,
 };
\ No newline at end of file
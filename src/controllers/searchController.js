@@ -1,74 +1,72 @@
-const Product = require('../models/Product');
+const Product = require('../models/product');
+const { buildProductFilters, combineFilters, buildProductSort } = require('../utils/productQuery');
+const { parseFacets, parsePriceBuckets, aggregateFacets } = require('../utils/searchFacets');
+const { suggest } = require('../utils/suggestions');
+const { escapeRegex, parseSearchQuery, highlightProduct } = require('../utils/textSearch');
+const { startSearchLog, logSearch, pickFilters, recordSearchClick } = require('../utils/searchAnalytics');
+const {
+  getSearchRules,
+  findRedirect,
+  expandValue,
+  expandList,
+  expandKeyword,
+  suggestionAlternatives,
+} = require('../utils/searchRules');
+
+// Query parameters logged as the filters of a search
+const SEARCH_FILTERS = ['category', 'size', 'color', 'minPrice', 'maxPrice', 'inStock', 'status'];
+const VARIANT_FILTERS = ['size', 'color', 'inStock'];
 
 const searchProducts = async (req, res) => {
   try {
-    const {
-      keyword,
-      category,
-      minPrice,
-      maxPrice,
-      inStock,
-      size,
-      color,
-      sortBy,
-      page = 1,
-      limit = 10,
-    } = req.query;
-
-    const query = {};
-
-    if (keyword) {
-      query.$or = [
-        { name: { $regex: keyword, $options: 'i' } },
-        { description: { $regex: keyword, $options: 'i' } },
-      ];
-    }
-
-    if (category) query.category = category;
+    const log = startSearchLog();
+    const { keyword, sortBy, page = 1, limit = 10 } = req.query;
+    const rules = await getSearchRules();
 
-    if (minPrice !== undefined || maxPrice !== undefined) {
-      query.price = {};
-      if (minPrice !== undefined) query.price.$gte = Number(minPrice);
-      if (maxPrice !== undefined) query.price.$lte = Number(maxPrice);
-    }
+    const pageNum = Number(page);
+    const limitNum = Number(limit);
 
-    if (inStock === 'true') query.stock = { $gt: 0 };
-    else if (inStock === 'false') query.stock = 0;
-
-    if (size || color) {
-      const variantFilter = {};
-      if (size) variantFilter['variants.size'] = size;
-      if (color) variantFilter['variants.color'] = color;
-      if (inStock === 'true') variantFilter['variants.stock'] = { $gt: 0 };
-      if (Object.keys(variantFilter).length > 0) {
-        query.$and = query.$and || [];
-        query.$and.push(variantFilter);
-      }
+    // Queries with a redirect rule send the customer to a page instead
+    const redirect = keyword ? findRedirect(rules, keyword) : null;
+    if (redirect) {
+      logSearch(log, {
+        type: 'search',
+        query: keyword,
+        filters: pickFilters(req.query, SEARCH_FILTERS),
+        resultCount: 0,
+        redirected: true,
+      });
+      res.set('X-Search-Id', String(log.id));
+      return res.status(200).json({
+        searchId: log.id,
+        redirect,
+        products: [],
+        page: pageNum,
+        pages: 0,
+        total: 0,
+        hasMore: false,
+      });
     }
 
-    let sort = {};
-    switch (sortBy) {
-      case 'priceAsc':
-        sort = { price: 1 };
-        break;
-      case 'priceDesc':
-        sort = { price: -1 };
-        break;
-      case 'newest':
-        sort = { createdAt: -1 };
-        break;
-      case 'nameAsc':
-        sort = { name: 1 };
-        break;
-      default:
-        sort = { createdAt: -1 };
-    }
+    // Keyword words, sizes and colors also match their synonyms
+    const expandedKeyword = expandKeyword(rules, keyword);
+    const filters = buildProductFilters({
+      ...req.query,
+      keyword: expandedKeyword,
+      size: expandList(rules, req.query.size),
+      color: expandList(rules, req.query.color),
+    });
+    const query = combineFilters(filters);
+    const sort = buildProductSort(sortBy, { keyword });
+    const facets = parseFacets(req.query.facets);
+    const priceBounds = parsePriceBuckets(req.query.priceBuckets);
 
-    const pageNum = Number(page);
-    const limitNum = Number(limit);
     const skip = (pageNum - 1) * limitNum;
 
-    const products = await Product.find(query)
+    // Keyword searches return each product's relevance score
+    const projection = query.$text ? { score: { $meta: 'textScore' } } : {};
+
+    const results = await Product.find(query, projection)
       .populate('category', 'name')
       .sort(sort)
       .skip(skip)
@@ -77,32 +75,76 @@ const searchProducts = async (req, res) => {
     const total = await Product.countDocuments(query);
     const totalPages = Math.ceil(total / limitNum);
 
-    res.status(200).json({
+    let products = results;
+    if (query.$text) {
+      const searchQuery = parseSearchQuery(expandedKeyword);
+      products = results.map(product => ({
+        ...product.toJSON(),
+        highlights: highlightProduct(product, searchQuery),
+      }));
+    }
+
+    const response = {
+      searchId: log.id,
       products,
       page: pageNum,
       pages: totalPages,
       total,
       hasMore: pageNum < totalPages,
+    };
+    if (facets) {
+      response.facets = await aggregateFacets(filters, facets, { priceBounds });
+    }
+
+    logSearch(log, {
+      type: 'search',
+      query: keyword,
+      filters: pickFilters(req.query, SEARCH_FILTERS),
+      resultCount: total,
+      results: results.map(product => product._id),
     });
+
+    res.set('X-Search-Id', String(log.id));
+    res.status(200).json(response);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error(error);
     res.status(500).json({ message: 'Server Error' });
   }
 };
 
+// Typo-tolerant autocomplete over product names, categories and colors
 const getSuggestions = async (req, res) => {
   try {
     const { term, limit = 5 } = req.query;
+    const value = typeof term === 'string' ? term.trim() : '';
 
-    if (!term || term.length < 2) return res.status(200).json([]);
+    if (value.length < 2) {
+      return res.status(200).json({ products: [], categories: [], attributes: [] });
+    }
 
-    const suggestions = await Product.find({
-      name: { $regex: term, $options: 'i' },
-    })
-      .select('name _id')
-      .limit(Number(limit));
+    const log = startSearchLog();
+    const limitNum = Math.min(Math.max(Number(limit) || 5, 1), 20);
+    const rules = await getSearchRules();
+    const lookup = value.slice(0, 100);
+    const suggestions = await suggest(lookup, {
+      limit: limitNum,
+      alternatives: suggestionAlternatives(rules, lookup),
+    });
+    // Suggestions are still shown, the client may offer the redirect first
+    const redirect = findRedirect(rules, value);
+
+    logSearch(log, {
+      type: 'suggestions',
+      query: value,
+      resultCount: suggestions.products.length + suggestions.categories.length + suggestions.attributes.length,
+      results: suggestions.products.map(product => product._id),
+    });
 
-    res.status(200).json(suggestions);
+    res.set('X-Search-Id', String(log.id));
+    res.status(200).json({ searchId: log.id, ...(redirect && { redirect }), ...suggestions });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server Error' });
@@ -111,15 +153,21 @@ const getSuggestions = async (req, res) => {
 
 const searchByVariants = async (req, res) => {
   try {
+    const log = startSearchLog();
     const { size, color, inStock } = req.query;
 
     if (!size && !color) {
       return res.status(400).json({ message: 'Provide at least size or color' });
     }
 
+    // A size or color also matches its synonyms
+    const rules = await getSearchRules();
+    const sizes = size ? expandValue(rules, size) : [];
+    const colors = color ? expandValue(rules, color).map(value => value.toLowerCase()) : [];
+
     const query = { variants: { $elemMatch: {} } };
-    if (size) query.variants.$elemMatch.size = size;
-    if (color) query.variants.$elemMatch.color = { $regex: new RegExp(`^${color}$`, 'i') }; // Case-insensitive match
+    if (size) query.variants.$elemMatch.size = { $in: sizes };
+    if (color) query.variants.$elemMatch.color = { $in: colors.map(value => new RegExp(`^${escapeRegex(value)}$`, 'i')) }; // Case-insensitive match
     if (inStock === 'true') query.variants.$elemMatch.stock = { $gt: 0 };
 
     // Find products that have at least one matching variant
@@ -128,8 +176,8 @@ const searchByVariants = async (req, res) => {
     // Extract and return only the matching variants with product info
     const results = products.flatMap(product => {
       const matchingVariants = product.variants.filter(variant => {
-        const sizeMatch = !size || variant.size === size;
-        const colorMatch = !color || variant.color.toLowerCase() === color.toLowerCase();
+        const sizeMatch = !size || sizes.includes(variant.size);
+        const colorMatch = !color || colors.includes(String(variant.color).toLowerCase());
         const stockMatch = inStock !== 'true' || variant.stock > 0;
         return sizeMatch && colorMatch && stockMatch;
       });
@@ -144,6 +192,16 @@ const searchByVariants = async (req, res) => {
       }));
     });
 
+    logSearch(log, {
+      type: 'variants',
+      query: [color, size].filter(Boolean).join(' '),
+      filters: pickFilters(req.query, VARIANT_FILTERS),
+      resultCount: results.length,
+      results: products.map(product => product._id),
+    });
+
+    // The response is a plain list, so the search id only comes in the header
+    res.set('X-Search-Id', String(log.id));
     res.status(200).json(results);
   } catch (error) {
     console.error(error);
@@ -151,4 +209,32 @@ const searchByVariants = async (req, res) => {
   }
 };
 
-module.exports = { searchProducts, getSuggestions, searchByVariants };
\ No newline at end of file
+// POST /api/search/clicks, records which result of a search was opened
+const recordClick = async (req, res) => {
+  try {
+    const { searchId, productId, position } = req.body;
+
+    const click = await recordSearchClick({ searchId, productId, position });
+    if (!click) {
+      return res.status(404).json({ message: 'Search not found' });
+    }
+    // The search log is written after the response, a quick click can beat it
+    if (click.pending) {
+      res.set('Retry-After', '1');
+      return res.status(202).json({ message: 'Search not logged yet, retry the click shortly' });
+    }
+    if (!click.counted) {
+      return res.status(200).json({ message: 'Click already recorded' });
+    }
+
+    res.status(201).json({ message: 'Click recorded' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+module.exports = { searchProducts, getSuggestions, searchByVariants, recordClick };
\ No newline at end of file
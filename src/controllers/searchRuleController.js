@@ -0,0 +1,287 @@
+const mongoose = require('mongoose');
+const Synonym = require('../models/Synonym');
+const { SYNONYM_TYPES } = require('../models/Synonym');
+const SearchRedirect = require('../models/SearchRedirect');
+const { normalizeQuery } = require('../utils/searchAnalytics');
+const { invalidateSearchRules } = require('../utils/searchRules');
+const { recordAudit } = require('../utils/audit');
+
+// Trimmed, non-empty, distinct (case-insensitively) strings, or null when not a string array
+const cleanTerms = (values) => {
+  if (!Array.isArray(values) || values.some(value => typeof value !== 'string')) return null;
+  const seen = new Set();
+  return values.map(value => value.trim()).filter(value => {
+    const key = value.toLowerCase();
+    if (!value || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Returns an error message for invalid synonym fields, or null
+const validateSynonymInput = ({ type, terms, synonyms }) => {
+  if (type !== undefined && !SYNONYM_TYPES.includes(type)) {
+    return `Type must be one of: ${SYNONYM_TYPES.join(', ')}`;
+  }
+  if (terms !== undefined && !cleanTerms(terms)) {
+    return 'Terms must be an array of strings';
+  }
+  if (synonyms !== undefined && !cleanTerms(synonyms)) {
+    return 'Synonyms must be an array of strings';
+  }
+  return null;
+};
+
+// Full http(s) URLs or paths on this site
+const isRedirectUrl = (value) => {
+  if (typeof value !== 'string') return false;
+  if (/^\/(?!\/)/.test(value)) return true;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+// Returns an error message for invalid redirect fields, or null
+const validateRedirectInput = ({ query, url }, { partial = false } = {}) => {
+  if ((!partial || query !== undefined) && !normalizeQuery(typeof query === 'string' ? query : '')) {
+    return 'Provide the query to redirect';
+  }
+  if ((!partial || url !== undefined) && !isRedirectUrl(url)) {
+    return 'Provide a valid http(s) URL or a path starting with /';
+  }
+  return null;
+};
+
+// GET /api/admin/search/synonyms
+const getAllSynonyms = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.type) query.type = req.query.type;
+    if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
+
+    const synonyms = await Synonym.find(query).sort({ createdAt: -1 });
+    res.status(200).json({ synonyms, types: SYNONYM_TYPES });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// POST /api/admin/search/synonyms
+const createSynonym = async (req, res) => {
+  try {
+    const { type, terms, synonyms, isActive } = req.body;
+
+    const invalid = validateSynonymInput({ type, terms, synonyms });
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    const synonym = await Synonym.create({
+      type,
+      terms: cleanTerms(terms || []),
+      // Only one-way rules have separate synonyms
+      synonyms: type === 'one-way' ? cleanTerms(synonyms || []) : [],
+      isActive,
+      createdBy: req.user._id,
+    });
+    invalidateSearchRules();
+
+    await recordAudit(req, { action: 'create', entityType: 'Synonym', entityId: synonym._id, after: synonym });
+
+    res.status(201).json(synonym);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// PUT /api/admin/search/synonyms/:id
+const updateSynonym = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid synonym ID format' });
+    }
+
+    const { type, terms, synonyms, isActive } = req.body;
+
+    const invalid = validateSynonymInput({ type, terms, synonyms });
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    const synonym = await Synonym.findById(req.params.id);
+    if (!synonym) {
+      return res.status(404).json({ message: 'Synonym not found' });
+    }
+    const before = synonym.toObject();
+
+    if (type !== undefined) synonym.type = type;
+    if (terms !== undefined) synonym.terms = cleanTerms(terms);
+    if (synonyms !== undefined) synonym.synonyms = cleanTerms(synonyms);
+    if (synonym.type === 'two-way') synonym.synonyms = [];
+    if (isActive !== undefined) synonym.isActive = isActive;
+
+    // Saved rather than updated in place so the rule checks of the model run
+    await synonym.save();
+    invalidateSearchRules();
+
+    await recordAudit(req, { action: 'update', entityType: 'Synonym', entityId: synonym._id, before, after: synonym });
+
+    res.status(200).json(synonym);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// DELETE /api/admin/search/synonyms/:id
+const deleteSynonym = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid synonym ID format' });
+    }
+
+    const synonym = await Synonym.findByIdAndDelete(req.params.id);
+    if (!synonym) {
+      return res.status(404).json({ message: 'Synonym not found' });
+    }
+    invalidateSearchRules();
+
+    await recordAudit(req, { action: 'delete', entityType: 'Synonym', entityId: synonym._id, before: synonym });
+
+    res.status(200).json({ message: 'Synonym deleted successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// GET /api/admin/search/redirects
+const getAllRedirects = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
+
+    const redirects = await SearchRedirect.find(query).sort({ query: 1 });
+    res.status(200).json(redirects);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// POST /api/admin/search/redirects
+const createRedirect = async (req, res) => {
+  try {
+    const { query, url, description, isActive } = req.body;
+
+    const invalid = validateRedirectInput({ query, url });
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    const normalized = normalizeQuery(query);
+    const existing = await SearchRedirect.findOne({ query: normalized });
+    if (existing) {
+      return res.status(400).json({ message: 'A redirect for this query already exists' });
+    }
+
+    const redirect = await SearchRedirect.create({
+      query: normalized,
+      url,
+      description,
+      isActive,
+      createdBy: req.user._id,
+    });
+    invalidateSearchRules();
+
+    await recordAudit(req, { action: 'create', entityType: 'SearchRedirect', entityId: redirect._id, after: redirect });
+
+    res.status(201).json(redirect);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// PUT /api/admin/search/redirects/:id
+const updateRedirect = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid redirect ID format' });
+    }
+
+    const { query, url, description, isActive } = req.body;
+
+    const invalid = validateRedirectInput({ query, url }, { partial: true });
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    const existingRedirect = await SearchRedirect.findById(req.params.id);
+    if (!existingRedirect) {
+      return res.status(404).json({ message: 'Redirect not found' });
+    }
+
+    const updates = {};
+    if (query !== undefined) {
+      updates.query = normalizeQuery(query);
+      const duplicate = await SearchRedirect.findOne({ query: updates.query, _id: { $ne: existingRedirect._id } });
+      if (duplicate) {
+        return res.status(400).json({ message: 'A redirect for this query already exists' });
+      }
+    }
+    if (url !== undefined) updates.url = url;
+    if (description !== undefined) updates.description = description;
+    if (isActive !== undefined) updates.isActive = isActive;
+
+    const redirect = await SearchRedirect.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
+    invalidateSearchRules();
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'SearchRedirect',
+      entityId: redirect._id,
+      before: existingRedirect,
+      after: redirect
+    });
+
+    res.status(200).json(redirect);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// DELETE /api/admin/search/redirects/:id
+const deleteRedirect = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid redirect ID format' });
+    }
+
+    const redirect = await SearchRedirect.findByIdAndDelete(req.params.id);
+    if (!redirect) {
+      return res.status(404).json({ message: 'Redirect not found' });
+    }
+    invalidateSearchRules();
+
+    await recordAudit(req, { action: 'delete', entityType: 'SearchRedirect', entityId: redirect._id, before: redirect });
+
+    res.status(200).json({ message: 'Redirect deleted successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+module.exports = {
+  getAllSynonyms,
+  createSynonym,
+  updateSynonym,
+  deleteSynonym,
+  getAllRedirects,
+  createRedirect,
+  updateRedirect,
+  deleteRedirect,
+};
@@ -1,5 +1,29 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const { generateAccessToken, generateRefreshToken } = require('../middleware/auth');
+const Session = require('../models/Session');
+const Cart = require('../models/Cart');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions
+} = require('../middleware/auth');
+const { sendMail, buildClientUrl, buildApiUrl } = require('../utils/mailer');
+const { recordAudit } = require('../utils/audit');
+
+// When enabled, new accounts stay inactive until the emailed link is opened
+const isActivationRequired = () => process.env.REQUIRE_ACCOUNT_ACTIVATION === 'true';
+
+const sendActivationEmail = async (user, activationToken) => {
+  const activationUrl = buildApiUrl(`/api/users/activate/${activationToken}`);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Activate your account',
+    text: `Hi ${user.name},\n\nThanks for registering. Activate your account within 24 hours using the link below:\n\n${activationUrl}`
+  });
+};
 
 // POST /api/users/register this is for register
 const registerUser = async (req, res) => {
@@ -24,27 +48,60 @@ const registerUser = async (req, res) => {
       });
     }
 
+    const requireActivation = isActivationRequired();
+
     // Create new user 
-    const user = await User.create({
+    const user = new User({
       name,
       email,
       password,
       role: "user",
       phoneNumber,
+      isActive: !requireActivation
     });
 
+    const userResponse = {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      phoneNumber: user.phoneNumber
+    };
+
+    if (requireActivation) {
+      const activationToken = user.generateActivationToken();
+      await user.save();
+
+      await recordAudit(req, { action: 'create', entityType: 'User', entityId: user._id, after: user, actor: user });
+
+      try {
+        await sendActivationEmail(user, activationToken);
+      } catch (mailError) {
+        // The account exists, the user can ask for a new link
+        console.error('Activation email error:', mailError);
+      }
+
+      return res.status(201).json({
+        success: true,
+        message: 'User registered successfully. Please check your email to activate your account',
+        user: { ...userResponse, isActive: false }
+      });
+    }
+
     user.lastLogin = Date.now();
     await user.save();
 
+    await recordAudit(req, { action: 'create', entityType: 'User', entityId: user._id, after: user, actor: user });
+
+    const { accessToken, refreshToken } = await createSession(user, req);
+
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        phoneNumber: user.phoneNumber
+      user: userResponse,
+      tokens: {
+        accessToken,
+        refreshToken
       }
     });
   } catch (error) {
@@ -70,7 +127,7 @@ const loginUser = async (req, res) => {
     }
 
     // Find user and select password for comparison
-    const user = await User.findOne({ email }).select('+password');
+    const user = await User.findOne({ email }).select('+password +activationToken');
 
     // Check if user exists
     if (!user) {
@@ -90,14 +147,45 @@ const loginUser = async (req, res) => {
       });
     }
 
-    // Generate access and refresh tokens
-    const accessToken = generateAccessToken(user);
-    const refreshToken = generateRefreshToken(user);
+    // Inactive accounts can't log in, pending activations get a hint
+    if (!user.isActive) {
+      const pendingActivation = Boolean(user.activationToken);
+      return res.status(403).json({
+        success: false,
+        message: pendingActivation
+          ? 'Account is not activated. Please check your email'
+          : 'Account is inactive',
+        reason: pendingActivation ? 'ACCOUNT_NOT_ACTIVATED' : 'ACCOUNT_INACTIVE'
+      });
+    }
+
+    if (user.passwordResetRequired) {
+      return res.status(403).json({
+        success: false,
+        message: 'A password reset is required. Please use the link sent to your email',
+        reason: 'PASSWORD_RESET_REQUIRED'
+      });
+    }
+
+    // Start a session and generate its access and refresh tokens
+    const { accessToken, refreshToken } = await createSession(user, req);
 
     // Update last login
     user.lastLogin = Date.now();
     await user.save();
 
+    // Bring along whatever the user put in their cart before signing in
+    // Only a plain string, an object would turn the cart lookup into a query operator
+    const { cartId } = req.body;
+    const guestCartId = typeof cartId === 'string' ? cartId : req.headers['x-cart-id'];
+    if (guestCartId) {
+      try {
+        await Cart.mergeGuestCart(user._id, guestCartId);
+      } catch (cartError) {
+        console.error('Cart merge error:', cartError);
+      }
+    }
+
     // Prepare user response (exclude sensitive information)
     const userResponse = {
       id: user._id,
@@ -127,6 +215,140 @@ const loginUser = async (req, res) => {
   }
 };
 
+// POST /api/users/refresh for exchanging a refresh token for a new token pair
+const refreshTokens = async (req, res) => {
+  try {
+    const refreshToken = req.body.refreshToken || req.headers['x-refresh-token'];
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a refresh token',
+        reason: 'TOKEN_MISSING'
+      });
+    }
+
+    const { user, accessToken, refreshToken: newRefreshToken } = await rotateRefreshToken(refreshToken, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      user: {
+        id: user._id,
+        role: user.role
+      },
+      tokens: {
+        accessToken,
+        refreshToken: newRefreshToken
+      }
+    });
+  } catch (error) {
+    if (error.reason) {
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+        reason: error.reason
+      });
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing token',
+      error: error.message
+    });
+  }
+};
+
+// POST /api/users/logout for ending the current session
+const logoutUser = async (req, res) => {
+  try {
+    if (req.authSession) {
+      await revokeSession(req.authSession.id, 'logout');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out',
+      error: error.message
+    });
+  }
+};
+
+// GET /api/users/me/sessions for listing active sessions
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: Date.now() }
+    }).sort({ lastUsedAt: -1 });
+
+    const currentSessionId = req.authSession ? req.authSession.id : null;
+
+    res.status(200).json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session.id === currentSessionId
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching sessions',
+      error: error.message
+    });
+  }
+};
+
+// DELETE /api/users/me/sessions/:id for signing out another device
+const deleteSession = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID format'
+      });
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session.id, 'revoked_by_user');
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking session',
+      error: error.message
+    });
+  }
+};
+
 // GET /api/users/me for get current user
 const getCurrentUser = async (req, res) => {
   try {
@@ -173,6 +395,14 @@ const updateProfile = async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'User',
+      entityId: user._id,
+      before: req.user,
+      after: user
+    });
+
     res.status(200).json({
       success: true,
       message: 'Profile updated successfully',
@@ -196,9 +426,244 @@ const updateProfile = async (req, res) => {
   }
 };
 
+// POST /api/users/forgot-password for requesting a reset link
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email address'
+      });
+    }
+
+    // Same answer whether the email exists or not, so accounts cannot be enumerated
+    const genericResponse = {
+      success: true,
+      message: 'If that email is registered, a password reset link has been sent'
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+    if (!user) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const resetToken = user.getResetPasswordToken();
+    await user.save({ validateBeforeSave: false });
+
+    const resetUrl = buildClientUrl(`/reset-password/${resetToken}`);
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Password reset request',
+        text: `Hi ${user.name},\n\nYou requested a password reset. Use the link below within 10 minutes:\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`
+      });
+    } catch (mailError) {
+      // Don't leave a usable token behind if the email never went out
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      console.error('Reset email error:', mailError);
+      return res.status(500).json({
+        success: false,
+        message: 'Email could not be sent'
+      });
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting password reset',
+      error: error.message
+    });
+  }
+};
+
+// POST /api/users/reset-password/:token for setting a new password
+const resetPassword = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password || password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    // Clearing the token in the same update makes it single-use
+    const user = await User.findOneAndUpdate(
+      {
+        resetPasswordToken: hashedToken,
+        resetPasswordExpire: { $gt: Date.now() }
+      },
+      { $unset: { resetPasswordToken: 1, resetPasswordExpire: 1 } }
+    ).select('+password');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset token is invalid or has expired'
+      });
+    }
+
+    // The pre-save hook hashes the password and sets passwordChangedAt,
+    // which invalidates every token issued before now
+    const before = user.toObject();
+    user.password = password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    user.passwordResetRequired = false;
+    await user.save();
+
+    const revokedCount = await revokeUserSessions(user._id, 'password_reset');
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'User',
+      entityId: user._id,
+      before,
+      after: user,
+      actor: user,
+      metadata: { operation: 'password_reset', revokedSessions: revokedCount }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successful. Please login with your new password'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password',
+      error: error.message
+    });
+  }
+};
+
+// GET /api/users/activate/:token for activating a new account
+const activateAccount = async (req, res) => {
+  try {
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const user = await User.findOneAndUpdate(
+      {
+        activationToken: hashedToken,
+        activationTokenExpires: { $gt: Date.now() }
+      },
+      {
+        $set: { isActive: true },
+        $unset: { activationToken: 1, activationTokenExpires: 1 }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Activation link is invalid or has expired'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'User',
+      entityId: user._id,
+      before: { isActive: false },
+      after: { isActive: true },
+      actor: user,
+      metadata: { operation: 'activate_account' }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account activated successfully. You can now login'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error activating account',
+      error: error.message
+    });
+  }
+};
+
+// POST /api/users/activate/resend for issuing a fresh activation link
+const resendActivation = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email address'
+      });
+    }
+
+    const genericResponse = {
+      success: true,
+      message: 'If that account is awaiting activation, a new link has been sent'
+    };
+
+    // Only accounts still pending activation qualify, deactivated accounts stay deactivated
+    const user = await User.findOne({
+      email: email.toLowerCase().trim(),
+      isActive: false,
+      activationToken: { $exists: true }
+    });
+
+    if (!user) {
+      return res.status(200).json(genericResponse);
+    }
+
+    // A new token replaces the old one, so earlier links stop working
+    const activationToken = user.generateActivationToken();
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendActivationEmail(user, activationToken);
+    } catch (mailError) {
+      console.error('Activation email error:', mailError);
+      return res.status(500).json({
+        success: false,
+        message: 'Email could not be sent'
+      });
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error resending activation link',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   registerUser,
   loginUser,
+  refreshTokens,
+  logoutUser,
+  getSessions,
+  deleteSession,
   getCurrentUser,
-  updateProfile
+  updateProfile,
+  forgotPassword,
+  resetPassword,
+  activateAccount,
+  resendActivation
 };
\ No newline at end of file
@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const { WEBHOOK_EVENTS } = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { generateSecret, redeliver } = require('../utils/webhooks');
+const { recordAudit } = require('../utils/audit');
+
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+// Returns an error message for invalid webhook fields, or null
+const validateWebhookInput = ({ url, events }, { partial = false } = {}) => {
+  if ((!partial || url !== undefined) && !isHttpUrl(url)) {
+    return 'Provide a valid http(s) URL';
+  }
+  if (!partial || events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return 'Provide a non-empty events array';
+    }
+    const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      return `Unknown events: ${unknown.join(', ')}. Events must be among: ${WEBHOOK_EVENTS.join(', ')}`;
+    }
+  }
+  return null;
+};
+
+// GET /api/admin/webhooks
+const getAllWebhooks = async (req, res) => {
+  try {
+    const webhooks = await Webhook.find().sort({ createdAt: -1 });
+    res.status(200).json({ webhooks, events: WEBHOOK_EVENTS });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// GET /api/admin/webhooks/:id
+const getWebhookById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid webhook ID format' });
+    }
+
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    res.status(200).json(webhook);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// POST /api/admin/webhooks, the secret is only ever returned here and on rotation
+const createWebhook = async (req, res) => {
+  try {
+    const { url, events, description, isActive } = req.body;
+
+    const invalid = validateWebhookInput({ url, events });
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    const secret = generateSecret();
+    const webhook = await Webhook.create({
+      url,
+      events: [...new Set(events)],
+      description,
+      isActive,
+      secret,
+      createdBy: req.user._id,
+    });
+
+    await recordAudit(req, { action: 'create', entityType: 'Webhook', entityId: webhook._id, after: webhook });
+
+    res.status(201).json({ ...webhook.toObject(), secret });
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// PUT /api/admin/webhooks/:id, send rotateSecret: true for a new signing secret
+const updateWebhook = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid webhook ID format' });
+    }
+
+    const { url, events, description, isActive, rotateSecret } = req.body;
+
+    const invalid = validateWebhookInput({ url, events }, { partial: true });
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    const existingWebhook = await Webhook.findById(req.params.id);
+    if (!existingWebhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const updates = {};
+    if (url !== undefined) updates.url = url;
+    if (events !== undefined) updates.events = [...new Set(events)];
+    if (description !== undefined) updates.description = description;
+    if (isActive !== undefined) updates.isActive = isActive;
+    if (rotateSecret) updates.secret = generateSecret();
+
+    const webhook = await Webhook.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'Webhook',
+      entityId: webhook._id,
+      before: existingWebhook,
+      after: webhook,
+      metadata: rotateSecret ? { operation: 'secret_rotation' } : undefined
+    });
+
+    res.status(200).json(rotateSecret ? { ...webhook.toObject(), secret: updates.secret } : webhook);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// DELETE /api/admin/webhooks/:id, pending deliveries fail on their next attempt
+const deleteWebhook = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid webhook ID format' });
+    }
+
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    await recordAudit(req, { action: 'delete', entityType: 'Webhook', entityId: webhook._id, before: webhook });
+
+    res.status(200).json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// GET /api/admin/webhooks/:id/deliveries
+const getWebhookDeliveries = async (req, res) => {
+  try {
+    const { status, event, page = 1, limit = 20 } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid webhook ID format' });
+    }
+
+    const query = { webhook: req.params.id };
+    if (status) query.status = status;
+    if (event) query.event = event;
+
+    const pageNum = Math.max(Number(page) || 1, 1);
+    const limitNum = Math.min(Math.max(Number(limit) || 20, 1), 100);
+    const skip = (pageNum - 1) * limitNum;
+
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await WebhookDelivery.countDocuments(query);
+    const totalPages = Math.ceil(total / limitNum);
+
+    res.status(200).json({
+      deliveries,
+      page: pageNum,
+      pages: totalPages,
+      total,
+      hasMore: pageNum < totalPages,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+// POST /api/admin/webhooks/deliveries/:deliveryId/redeliver
+const redeliverWebhookDelivery = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.deliveryId)) {
+      return res.status(400).json({ message: 'Invalid delivery ID format' });
+    }
+
+    const delivery = await redeliver(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    res.status(201).json(delivery);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server Error' });
+  }
+};
+
+module.exports = {
+  getAllWebhooks,
+  getWebhookById,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  redeliverWebhookDelivery,
+};
@@ -1,5 +1,9 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
 
 // Token expiration times
 const ACCESS_TOKEN_EXPIRE = process.env.JWT_EXPIRE || '15m';
@@ -8,17 +12,12 @@ const REFRESH_TOKEN_EXPIRE = process.env.REFRESH_TOKEN_EXPIRE || '7d';
 const isAuth = async (req, res, next) => {
   try {
     let accessToken;
-    let refreshToken;
     
-    // Check for tokens in headers
+    // Check for token in headers
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
       accessToken = req.headers.authorization.split(' ')[1];
     }
     
-    if (req.headers['x-refresh-token']) {
-      refreshToken = req.headers['x-refresh-token'];
-    }
-    
     if (!accessToken) {
       return res.status(401).json({ 
         message: 'No access token, authorization denied',
@@ -31,53 +30,12 @@ const isAuth = async (req, res, next) => {
       // Verify access token
       decoded = jwt.verify(accessToken, process.env.JWT_SECRET);
     } catch (accessTokenError) {
-      if (accessTokenError.name === 'TokenExpiredError' && refreshToken) {
-        try {
-          const refreshDecoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-          const user = await User.findById(refreshDecoded.id).select('-password');
-          
-          if (!user) {
-            return res.status(401).json({ 
-              message: 'User not found',
-              reason: 'USER_NOT_FOUND' 
-            });
-          }
-          
-          // Enhanced account status check
-          if (!user.isActive) {
-            console.error(`Inactive account token refresh attempt: ${user.email}`);
-            return res.status(401).json({ 
-              message: 'Account is inactive',
-              reason: 'ACCOUNT_INACTIVE' 
-            });
-          }
-          
-          // Generate new tokens
-          const newAccessToken = generateAccessToken(user);
-          const newRefreshToken = generateRefreshToken(user);
-          
-          // Update last login
-          await User.findByIdAndUpdate(user._id, { lastLogin: Date.now() });
-          
-          // Explicitly send new tokens in the response
-          return res.status(200).json({
-            message: 'Token refreshed successfully',
-            user: {
-              id: user._id,
-              role: user.role
-            },
-            tokens: {
-              accessToken: newAccessToken,
-              refreshToken: newRefreshToken
-            }
-          });
-        } catch (refreshError) {
-          console.error('Refresh token error:', refreshError);
-          return res.status(401).json({ 
-            message: 'Session expired. Please login again.',
-            reason: 'SESSION_EXPIRED' 
-          });
-        }
+      // Expired tokens are renewed by the client through POST /api/users/refresh
+      if (accessTokenError.name === 'TokenExpiredError') {
+        return res.status(401).json({ 
+          message: 'Access token expired',
+          reason: 'TOKEN_EXPIRED' 
+        });
       }
       
       console.error('Access token error:', accessTokenError);
@@ -106,8 +64,30 @@ const isAuth = async (req, res, next) => {
       });
     }
     
-    // Attach user to request
+    // Reject tokens issued before the last password change
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({ 
+        message: 'Password was changed. Please login again.',
+        reason: 'PASSWORD_CHANGED' 
+      });
+    }
+    
+    // Tokens belong to a session, which may have been logged out or revoked
+    let session;
+    if (decoded.sid) {
+      session = await Session.findById(decoded.sid);
+
+      if (!session || session.revokedAt) {
+        return res.status(401).json({ 
+          message: 'Session has been revoked. Please login again.',
+          reason: 'SESSION_REVOKED' 
+        });
+      }
+    }
+    
+    // Attach user and session to request
     req.user = user;
+    req.authSession = session;
     
     // Update last login
     User.findByIdAndUpdate(user._id, { lastLogin: Date.now() }).catch(err => 
@@ -124,6 +104,14 @@ const isAuth = async (req, res, next) => {
   }
 };
 
+// Identifies the caller when a token is sent, but lets anonymous requests through
+const optionalAuth = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  return isAuth(req, res, next);
+};
+
 // Admin middleware
 const isAdmin = (req, res, next) => {
   if (req.user && req.user.role === 'admin') {
@@ -151,26 +139,182 @@ const hasRole = (role) => {
 };
 
 // Token generation helpers
-function generateAccessToken(user) {
+function generateAccessToken(user, sessionId) {
   return jwt.sign(
-    { id: user._id, role: user.role },
+    { id: user._id, role: user.role, sid: sessionId },
     process.env.JWT_SECRET,
     { expiresIn: ACCESS_TOKEN_EXPIRE }
   );
 }
 
-function generateRefreshToken(user) {
-  return jwt.sign(
-    { id: user._id },
+// Issues a refresh token and records it server-side. Passing a family keeps
+// the new token in the same rotation chain, otherwise a new family starts.
+async function generateRefreshToken(user, { family = crypto.randomUUID(), jti = crypto.randomUUID() } = {}) {
+  const token = jwt.sign(
+    { id: user._id, jti, family },
     process.env.JWT_REFRESH_SECRET,
     { expiresIn: REFRESH_TOKEN_EXPIRE }
   );
+  const { exp } = jwt.decode(token);
+
+  await RefreshToken.create({
+    user: user._id,
+    jti,
+    family,
+    expiresAt: new Date(exp * 1000)
+  });
+
+  return token;
+}
+
+// Client details stored with a session so users can recognise their devices
+function getClientInfo(req) {
+  return {
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+  };
+}
+
+// Starts a new session for a login and issues its first token pair
+async function createSession(user, req) {
+  const session = new Session({
+    user: user._id,
+    ...getClientInfo(req),
+    expiresAt: Date.now()
+  });
+
+  const refreshToken = await generateRefreshToken(user, { family: session.id });
+  session.expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+  await session.save();
+
+  return {
+    session,
+    accessToken: generateAccessToken(user, session.id),
+    refreshToken
+  };
+}
+
+// Revokes every token in a family, used when a rotated token is replayed
+async function revokeTokenFamily(family, reason) {
+  await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: Date.now(), revokedReason: reason }
+  );
+  // Families of tokens issued before sessions existed are UUIDs, with no session
+  if (!mongoose.Types.ObjectId.isValid(family)) return;
+  await Session.updateOne(
+    { _id: family, revokedAt: null },
+    { revokedAt: Date.now(), revokedReason: reason }
+  );
+}
+
+// Revokes a single session, e.g. logout or remote sign-out of a device
+async function revokeSession(sessionId, reason) {
+  await revokeTokenFamily(sessionId, reason);
+}
+
+// Revokes every session a user holds (password reset, deactivation...)
+async function revokeUserSessions(userId, reason) {
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: Date.now(), revokedReason: reason }
+  );
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: Date.now(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+}
+
+// Exchanges a refresh token for a new pair. Throws an error with a `reason`
+// code that callers can send back to the client.
+async function rotateRefreshToken(refreshToken, req) {
+  const fail = (message, reason) => Object.assign(new Error(message), { reason });
+
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+  } catch (error) {
+    throw fail('Session expired. Please login again.', 'SESSION_EXPIRED');
+  }
+
+  if (!decoded.jti || !decoded.family) {
+    throw fail('Invalid refresh token', 'INVALID_TOKEN');
+  }
+
+  const newJti = crypto.randomUUID();
+
+  // Mark the presented token as used in a single step so it can only be rotated once
+  const stored = await RefreshToken.findOneAndUpdate(
+    { jti: decoded.jti, replacedBy: null, revokedAt: null },
+    { replacedBy: newJti, usedAt: Date.now() }
+  );
+
+  if (!stored) {
+    const existing = await RefreshToken.findOne({ jti: decoded.jti });
+
+    if (!existing) {
+      throw fail('Invalid refresh token', 'INVALID_TOKEN');
+    }
+
+    // A token that was already rotated or revoked is being replayed
+    console.error(`Refresh token reuse detected for user ${existing.user}, family ${existing.family}`);
+    await revokeTokenFamily(existing.family, 'reuse_detected');
+    throw fail('Refresh token reuse detected. Please login again.', 'TOKEN_REUSED');
+  }
+
+  // Tokens issued before sessions existed have a UUID family and no session
+  const session = mongoose.Types.ObjectId.isValid(decoded.family)
+    ? await Session.findOne({ _id: decoded.family, revokedAt: null })
+    : null;
+
+  if (!session) {
+    await revokeTokenFamily(decoded.family, 'session_revoked');
+    throw fail('Session has been revoked. Please login again.', 'SESSION_REVOKED');
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+
+  if (!user) {
+    throw fail('User not found', 'USER_NOT_FOUND');
+  }
+
+  if (!user.isActive) {
+    console.error(`Inactive account token refresh attempt: ${user.email}`);
+    await revokeTokenFamily(decoded.family, 'account_inactive');
+    throw fail('Account is inactive', 'ACCOUNT_INACTIVE');
+  }
+
+  if (user.changedPasswordAfter(decoded.iat)) {
+    await revokeTokenFamily(decoded.family, 'password_changed');
+    throw fail('Password was changed. Please login again.', 'PASSWORD_CHANGED');
+  }
+
+  const newRefreshToken = await generateRefreshToken(user, { family: decoded.family, jti: newJti });
+
+  Object.assign(session, getClientInfo(req), {
+    lastUsedAt: Date.now(),
+    expiresAt: new Date(jwt.decode(newRefreshToken).exp * 1000)
+  });
+  await session.save();
+
+  return {
+    user,
+    accessToken: generateAccessToken(user, session.id),
+    refreshToken: newRefreshToken
+  };
 }
 
 module.exports = { 
   isAuth, 
+  optionalAuth,
   isAdmin, 
   hasRole,
   generateAccessToken,
-  generateRefreshToken
+  generateRefreshToken,
+  createSession,
+  rotateRefreshToken,
+  revokeTokenFamily,
+  revokeSession,
+  revokeUserSessions
 };
\ No newline at end of file
@@ -30,4 +30,27 @@ const uploadProductImage = multer({
   fileFilter: fileFilter,
 }).single('image');
 
-module.exports = { uploadProductImage };
\ No newline at end of file
+// Bulk import files are parsed in memory, never written to disk. The import
+// controller checks the file type, by extension or content type.
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 1024 * 1024 * 20, // 20MB
+  },
+}).single('file');
+
+// Upload errors are answered as JSON, there is no app-wide error handler
+const uploadImportFile = (req, res, next) => {
+  importUpload(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ message: 'Import files can be at most 20MB' });
+    }
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ message: error.message });
+    }
+    next(error);
+  });
+};
+
+module.exports = { uploadProductImage, uploadImportFile };
\ No newline at end of file
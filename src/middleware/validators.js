@@ -1,9 +1,16 @@
 const Joi = require('joi');
+const { PRODUCT_STATUS_TRANSITIONS } = require('../models/product');
+
+const productStatuses = Object.keys(PRODUCT_STATUS_TRANSITIONS);
+const reorderLevel = Joi.number().integer().min(0);
 
 const productSchema = Joi.object({
   name: Joi.string().required().messages({
     'string.empty': 'Product name is required',
   }),
+  sku: Joi.string().trim().messages({
+    'string.base': 'SKU must be a string',
+  }),
   description: Joi.string().required().messages({
     'string.empty': 'Product description is required',
   }),
@@ -22,11 +29,31 @@ const productSchema = Joi.object({
   category: Joi.string().messages({
     'string.base': 'Category must be a valid ID string',
   }),
+  status: Joi.string().valid(...productStatuses).messages({
+    'any.only': `Product status must be one of: ${productStatuses.join(', ')}`,
+  }),
+  expectedAt: Joi.date().messages({
+    'date.base': 'Expected date must be a valid date',
+  }),
+  reorderPoint: reorderLevel.messages({
+    'number.min': 'Reorder point cannot be negative',
+  }),
+  reorderQuantity: reorderLevel.messages({
+    'number.min': 'Reorder quantity cannot be negative',
+  }),
+  safetyStock: reorderLevel.messages({
+    'number.min': 'Safety stock cannot be negative',
+  }),
   variants: Joi.array().items(
     Joi.object({
       size: Joi.string(),
       color: Joi.string(),
-      stock: Joi.number().integer()
+      stock: Joi.number().integer(),
+      status: Joi.string().valid(...productStatuses),
+      expectedAt: Joi.date(),
+      reorderPoint: reorderLevel,
+      reorderQuantity: reorderLevel,
+      safetyStock: reorderLevel
     })
   ).messages({
     'array.base': 'Variants must be an array',
@@ -65,6 +92,7 @@ const validateCategory = (req, res, next) => {
 };
 
 module.exports = { 
+  productSchema,
   validateProduct, 
   validateCategory,
 };
\ No newline at end of file
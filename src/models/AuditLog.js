@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null, index: true },
+    actorEmail: { type: String },
+    action: { type: String, enum: ["create", "update", "delete"], required: true },
+    entityType: { type: String, required: true },
+    entityId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    changes: [
+      {
+        _id: false,
+        path: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    metadata: { type: mongoose.Schema.Types.Mixed },
+    ip: { type: String },
+    userAgent: { type: String },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.models.AuditLog || mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+
+// Guest carts are removed after this long without changes
+const GUEST_CART_TTL_DAYS = 30;
+
+const cartItemSchema = new mongoose.Schema(
+  {
+    product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    // Variant subdocument id, null when the line is for the product's own stock
+    variant: { type: mongoose.Schema.Types.ObjectId, default: null },
+    quantity: { type: Number, required: true, min: 1 },
+    // Price when the item was added, used to flag price changes
+    priceAtAdd: { type: Number, required: true },
+    addedAt: { type: Date, default: Date.now },
+  }
+);
+
+const cartSchema = new mongoose.Schema(
+  {
+    // A cart belongs either to a user or to an anonymous guest cart ID
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", unique: true, sparse: true },
+    guestId: { type: String, unique: true, sparse: true },
+    items: [cartItemSchema],
+    expiresAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+cartSchema.pre("save", function (next) {
+  this.expiresAt = this.user ? undefined : new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+  next();
+});
+
+const isSameLine = (a, b) => a.product.equals(b.product) && String(a.variant) === String(b.variant);
+
+// Adds a line, or increases the quantity when the product/variant is already in the cart
+cartSchema.methods.addItem = function (item) {
+  const existing = this.items.find(line => isSameLine(line, item));
+  if (existing) {
+    existing.quantity += item.quantity;
+    return existing;
+  }
+  this.items.push(item);
+  return this.items[this.items.length - 1];
+};
+
+// Moves a guest cart's items into the user's cart and deletes the guest cart
+cartSchema.statics.mergeGuestCart = async function (userId, guestId) {
+  if (!guestId || typeof guestId !== "string") return null;
+
+  const guestCart = await this.findOne({ guestId, user: { $exists: false } });
+  if (!guestCart) return null;
+
+  let userCart = await this.findOne({ user: userId });
+  if (!userCart) {
+    userCart = new this({ user: userId, items: [] });
+  }
+
+  guestCart.items.forEach(item => {
+    userCart.addItem({
+      product: item.product,
+      variant: item.variant,
+      quantity: item.quantity,
+      priceAtAdd: item.priceAtAdd,
+      addedAt: item.addedAt,
+    });
+  });
+
+  await userCart.save();
+  await guestCart.deleteOne();
+  return userCart;
+};
+
+module.exports = mongoose.models.Cart || mongoose.model("Cart", cartSchema);
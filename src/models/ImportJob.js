@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+// Most row errors kept on a job, the rest are only counted
+const MAX_JOB_ERRORS = 1000;
+
+// A bulk product import running in the background
+const importJobSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "failed"],
+      default: "queued",
+    },
+    format: { type: String, enum: ["csv", "json", "ndjson"], required: true },
+    filename: { type: String },
+    options: {
+      createCategories: { type: Boolean, default: false },
+    },
+    totalRows: { type: Number, default: 0 },
+    processedRows: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    categoriesCreated: [{ type: String }],
+    rowErrors: [
+      {
+        _id: false,
+        row: Number,
+        sku: String,
+        productId: String,
+        messages: [String],
+      },
+    ],
+    // Set when the whole job stopped, row problems are in rowErrors
+    error: { type: String },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    startedAt: { type: Date },
+    finishedAt: { type: Date },
+  },
+  { timestamps: true, toJSON: { virtuals: true }, id: false }
+);
+
+importJobSchema.virtual("progress").get(function () {
+  return this.totalRows ? Math.round((this.processedRows / this.totalRows) * 100) : 100;
+});
+
+module.exports = mongoose.models.ImportJob || mongoose.model("ImportJob", importJobSchema);
+module.exports.MAX_JOB_ERRORS = MAX_JOB_ERRORS;
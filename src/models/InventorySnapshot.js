@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// Inventory value at a point in time, taken on a schedule or on demand
+const inventorySnapshotSchema = new mongoose.Schema(
+  {
+    takenAt: { type: Date, default: Date.now, index: true },
+    trigger: { type: String, enum: ["scheduled", "manual"], required: true },
+    totalValue: { type: Number, required: true },
+    productCount: { type: Number, default: 0 },
+    categories: [
+      {
+        _id: false,
+        // Null for products without a category (or whose category was deleted)
+        category: { type: mongoose.Schema.Types.ObjectId, ref: "Category", default: null },
+        name: { type: String, required: true },
+        value: { type: Number, required: true },
+        productCount: { type: Number, default: 0 },
+      },
+    ],
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.models.InventorySnapshot || mongoose.model("InventorySnapshot", inventorySnapshotSchema);
@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+// A warehouse or store that holds stock
+const locationSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    address: {
+      street: String,
+      city: String,
+      state: String,
+      zipCode: String,
+      country: String,
+    },
+    isActive: { type: Boolean, default: true },
+    // Stock movements that don't name a location use the default one
+    isDefault: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.models.Location || mongoose.model("Location", locationSchema);
@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+
+// Allowed status changes, anything else is rejected
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ["paid", "cancelled"],
+  paid: ["shipped", "cancelled", "refunded"],
+  shipped: ["refunded"],
+  cancelled: [],
+  refunded: [],
+};
+
+const orderItemSchema = new mongoose.Schema(
+  {
+    product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    // Variant subdocument id, null when the line is for the product's own stock
+    variant: { type: mongoose.Schema.Types.ObjectId, default: null },
+    name: { type: String, required: true },
+    size: String,
+    color: String,
+    // Price captured when the order was placed
+    price: { type: Number, required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    // Set once the line's stock was put back, so a retried cancellation skips it
+    restocked: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+const orderSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    items: {
+      type: [orderItemSchema],
+      validate: [items => items.length > 0, "An order needs at least one item"],
+    },
+    total: { type: Number, required: true },
+    status: {
+      type: String,
+      enum: Object.keys(ORDER_STATUS_TRANSITIONS),
+      default: "pending",
+    },
+    statusHistory: [
+      {
+        _id: false,
+        status: String,
+        changedAt: { type: Date, default: Date.now },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        note: String,
+      },
+    ],
+    shippingAddress: {
+      street: String,
+      city: String,
+      state: String,
+      zipCode: String,
+      country: String,
+    },
+  },
+  { timestamps: true }
+);
+
+orderSchema.index({ status: 1, createdAt: -1 });
+
+const Order = mongoose.models.Order || mongoose.model("Order", orderSchema);
+
+module.exports = Order;
+module.exports.ORDER_STATUS_TRANSITIONS = ORDER_STATUS_TRANSITIONS;
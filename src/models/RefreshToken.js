@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// Every issued refresh token is tracked so it can be rotated and revoked.
+// Tokens rotated from the same login share a family; reusing an already
+// rotated token revokes the whole family.
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    jti: { type: String, required: true, unique: true },
+    family: { type: String, required: true, index: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date },
+    replacedBy: { type: String, default: null },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String },
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB clean up expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.RefreshToken || mongoose.model("RefreshToken", refreshTokenSchema);
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// A temporary hold on stock while a customer checks out
+const reservationSchema = new mongoose.Schema(
+  {
+    product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    // Variant subdocument id, null when the hold is on the product's own stock
+    variant: { type: mongoose.Schema.Types.ObjectId, default: null },
+    quantity: { type: Number, required: true, min: 1 },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    reference: { type: String },
+    status: {
+      type: String,
+      enum: ["active", "confirmed", "released", "expired"],
+      default: "active",
+    },
+    expiresAt: { type: Date, required: true },
+    confirmedAt: { type: Date },
+    releasedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+reservationSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.models.Reservation || mongoose.model("Reservation", reservationSchema);
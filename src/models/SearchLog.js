@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+// Searches kept for analytics, then removed by MongoDB
+const SEARCH_LOG_RETENTION_DAYS = 180;
+
+const SEARCH_TYPES = ["search", "suggestions", "variants"];
+
+// One call to a search endpoint, with the results the customer clicked
+const searchLogSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: SEARCH_TYPES, required: true },
+    // Lowercased and trimmed, so the same search typed differently is counted together
+    query: { type: String, default: "" },
+    filters: { type: mongoose.Schema.Types.Mixed },
+    resultCount: { type: Number, default: 0 },
+    // Sent to a page by a redirect rule instead of searching
+    redirected: { type: Boolean, default: false },
+    latencyMs: { type: Number },
+    // Products the search returned, only these can be clicked
+    results: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+    // One click per product, a product opened again isn't counted twice
+    clickCount: { type: Number, default: 0 },
+    clicks: [
+      {
+        _id: false,
+        product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+        position: { type: Number },
+        clickedAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+searchLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: SEARCH_LOG_RETENTION_DAYS * 24 * 60 * 60 });
+searchLogSchema.index({ type: 1, query: 1, createdAt: -1 });
+
+module.exports = mongoose.models.SearchLog || mongoose.model("SearchLog", searchLogSchema);
+module.exports.SEARCH_TYPES = SEARCH_TYPES;
@@ -0,0 +1,15 @@
+const mongoose = require("mongoose");
+
+// Sends a search for an exact query (compared lowercased) to a page instead of results
+const searchRedirectSchema = new mongoose.Schema(
+  {
+    query: { type: String, required: true, unique: true, trim: true, lowercase: true },
+    url: { type: String, required: true, trim: true },
+    description: { type: String },
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.models.SearchRedirect || mongoose.model("SearchRedirect", searchRedirectSchema);
@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+
+// One session per login/device. The session id is also the refresh token
+// family, so revoking a session revokes every refresh token issued for it.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    userAgent: { type: String },
+    ip: { type: String },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String },
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB clean up sessions whose last refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.Session || mongoose.model("Session", sessionSchema);
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+// Reasons a stock level can change, and the sign their quantity must have
+const MOVEMENT_REASONS = {
+  receipt: 1,
+  return: 1,
+  sale: -1,
+  "write-off": -1,
+  adjustment: 0,
+  // Moves stock between locations, the total stays the same
+  transfer: 0,
+};
+
+const stockMovementSchema = new mongoose.Schema(
+  {
+    product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    // Variant subdocument id, null when the movement affects the product's own stock
+    variant: { type: mongoose.Schema.Types.ObjectId, default: null },
+    variantLabel: { type: String },
+    // Location the movement happened at, when stock is tracked per location
+    location: { type: mongoose.Schema.Types.ObjectId, ref: "Location", default: null },
+    quantity: { type: Number, required: true },
+    balanceAfter: { type: Number, required: true },
+    locationBalanceAfter: { type: Number },
+    reason: { type: String, enum: Object.keys(MOVEMENT_REASONS), required: true },
+    reference: { type: String },
+    note: { type: String },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+
+const StockMovement = mongoose.models.StockMovement || mongoose.model("StockMovement", stockMovementSchema);
+
+module.exports = StockMovement;
+module.exports.MOVEMENT_REASONS = MOVEMENT_REASONS;
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+const SYNONYM_TYPES = ["two-way", "one-way"];
+
+// A synonym rule applied to search queries. Two-way: every term finds the
+// others. One-way: each term also finds the synonyms, not the reverse.
+const synonymSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: SYNONYM_TYPES, default: "two-way" },
+    terms: {
+      type: [{ type: String, trim: true }],
+      validate: {
+        validator: (terms) => terms.length > 0,
+        message: "Provide at least one term",
+      },
+    },
+    // One-way rules only
+    synonyms: [{ type: String, trim: true }],
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+synonymSchema.pre("validate", function (next) {
+  if (this.type === "two-way" && this.terms.length < 2) {
+    this.invalidate("terms", "A two-way synonym needs at least two terms");
+  }
+  if (this.type === "one-way" && this.synonyms.length === 0) {
+    this.invalidate("synonyms", "A one-way synonym needs at least one synonym");
+  }
+  next();
+});
+
+module.exports = mongoose.models.Synonym || mongoose.model("Synonym", synonymSchema);
+module.exports.SYNONYM_TYPES = SYNONYM_TYPES;
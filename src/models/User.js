@@ -59,6 +59,15 @@ const userSchema = new mongoose.Schema(
     },
     resetPasswordToken: String,
     resetPasswordExpire: Date,
+    // Set by an admin, blocks login until the password is reset
+    passwordResetRequired: {
+      type: Boolean,
+      default: false
+    },
+    // Tokens issued before this moment are no longer accepted
+    passwordChangedAt: {
+      type: Date
+    },
     // Optional: Track account activation details
     activationToken: {
       type: String,
@@ -78,6 +87,11 @@ userSchema.pre('save', async function(next) {
   
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+
+  // Existing sessions are invalidated whenever an existing user changes password
+  if (!this.isNew) {
+    this.passwordChangedAt = Date.now() - 1000;
+  }
   next();
 });
 
@@ -116,6 +130,12 @@ userSchema.methods.getResetPasswordToken = function() {
   return resetToken;
 };
 
+// Check if a token was issued before the last password change
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return tokenIssuedAt * 1000 < this.passwordChangedAt.getTime();
+};
+
 // Virtual for user's full address
 userSchema.virtual('fullAddress').get(function() {
   if (!this.address || !this.address.street) return '';
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = [
+  "product.created",
+  "product.updated",
+  "product.deleted",
+  "category.created",
+  "category.updated",
+  "category.deleted",
+  "stock.changed",
+  "stock.low",
+];
+
+// An external endpoint that receives signed event notifications
+const webhookSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true, trim: true },
+    description: { type: String },
+    events: {
+      type: [{ type: String, enum: WEBHOOK_EVENTS }],
+      validate: [events => events.length > 0, "Subscribe to at least one event"],
+    },
+    // Shared secret for the HMAC signature, only returned when it is created
+    secret: { type: String, required: true, select: false },
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+webhookSchema.index({ isActive: 1, events: 1 });
+
+module.exports = mongoose.models.Webhook || mongoose.model("Webhook", webhookSchema);
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
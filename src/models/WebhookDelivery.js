@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+// One attempt series to deliver an event to a webhook
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: { type: mongoose.Schema.Types.ObjectId, ref: "Webhook", required: true },
+    event: { type: String, required: true },
+    data: { type: mongoose.Schema.Types.Mixed },
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending",
+    },
+    attempts: { type: Number, default: 0 },
+    // When the next attempt is due; also pushed forward while an attempt is in flight
+    nextAttemptAt: { type: Date, default: Date.now },
+    lastAttemptAt: { type: Date },
+    responseStatus: { type: Number },
+    responseBody: { type: String },
+    error: { type: String },
+    deliveredAt: { type: Date },
+    // Set on manual redeliveries, points at the delivery that was repeated
+    redeliveryOf: { type: mongoose.Schema.Types.ObjectId, ref: "WebhookDelivery", default: null },
+  },
+  { timestamps: true }
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+module.exports = mongoose.models.WebhookDelivery || mongoose.model("WebhookDelivery", webhookDeliverySchema);
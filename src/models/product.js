@@ -1,17 +1,181 @@
 const mongoose = require("mongoose");
+const { toGrams } = require("../utils/fuzzyMatch");
+
+// Status changes that can be made by hand. Moves between active and
+// out-of-stock (and from backorder back to active) also happen automatically
+// as stock changes, see deriveStatus.
+const PRODUCT_STATUS_TRANSITIONS = {
+  active: ["preorder", "discontinued"],
+  "out-of-stock": ["active", "backorder", "preorder", "discontinued"],
+  backorder: ["out-of-stock", "discontinued"],
+  preorder: ["active", "discontinued"],
+  discontinued: ["active"],
+};
+
+// Statuses that carry an expected availability date
+const DATED_STATUSES = ["backorder", "preorder"];
+
+// Status a product or variant should have for its stock level. Preorder and
+// discontinued are only ever changed by hand.
+const deriveStatus = (status = "active", stock = 0) => {
+  if (status === "active" && stock <= 0) return "out-of-stock";
+  if ((status === "out-of-stock" || status === "backorder") && stock > 0) return "active";
+  return status;
+};
+
+// Query condition for a status; documents saved before statuses existed have
+// no status field and count as active
+const matchStatus = (status) => (status === "active" ? { $in: ["active", null] } : status);
+
+const applyDerivedStatus = (item) => {
+  item.status = deriveStatus(item.status, item.stock || 0);
+  if (!DATED_STATUSES.includes(item.status)) {
+    item.expectedAt = undefined;
+  }
+};
+
+// Quantity of a product or variant held at one location
+const locationStockSchema = new mongoose.Schema(
+  {
+    location: { type: mongoose.Schema.Types.ObjectId, ref: "Location", required: true },
+    quantity: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// When stock is tracked per location, the total is the sum of the locations
+const deriveStockFromLocations = (item) => {
+  if (item.locations && item.locations.length > 0) {
+    item.stock = item.locations.reduce((sum, entry) => sum + (entry.quantity || 0), 0);
+  }
+};
+
+// Replenishment settings, shared by products and variants. Items without a
+// reorder point fall back to the threshold given to the low-stock reports.
+const reorderFields = {
+  // Reorder once stock is at or below this level
+  reorderPoint: { type: Number, min: 0 },
+  // Units to order each time
+  reorderQuantity: { type: Number, min: 0 },
+  // Buffer kept on top of the reorder point
+  safetyStock: { type: Number, min: 0, default: 0 },
+};
+
+// Stamps the stock change time on new items and when stock was changed by a save
+const trackStockChange = (item, now) => {
+  if (item.isNew || item.isModified("stock")) {
+    item.lastStockChangeAt = now;
+  }
+};
+
+// Quantity of a product or variant at a location (0 when it has none there)
+const getLocationQuantity = (item, locationId) => {
+  const entry = (item.locations || []).find(e => String(e.location) === String(locationId));
+  return entry ? entry.quantity || 0 : 0;
+};
+
+const variantSchema = new mongoose.Schema(
+  {
+    size: String,
+    color: String,
+    stock: Number,
+    // Units held by active reservations, still part of stock until confirmed
+    reserved: { type: Number, default: 0 },
+    locations: [locationStockSchema],
+    status: { type: String, enum: Object.keys(PRODUCT_STATUS_TRANSITIONS), default: "active" },
+    // When a backordered or preordered item is expected to be available
+    expectedAt: { type: Date },
+    // Last time stock went up or down, used by the stock aging report
+    lastStockChangeAt: { type: Date },
+    ...reorderFields,
+  },
+  { toJSON: { virtuals: true }, toObject: { virtuals: true }, id: false }
+);
+
+// Available-to-sell, i.e. on-hand stock minus reserved units
+variantSchema.virtual("available").get(function () {
+  return Math.max((this.stock || 0) - (this.reserved || 0), 0);
+});
 
 const productSchema = new mongoose.Schema(
   {
     image: { type: String, required: true },
     name: { type: String, required: true },
+    // Stock keeping unit, the natural key used by bulk imports
+    sku: { type: String, trim: true, unique: true, sparse: true },
     description: { type: String, required: true },
     price: { type: Number, required: true },
     category: { type: mongoose.Schema.Types.ObjectId, ref: "Category" },
+    // Copy of the category's name so it can be part of the text index
+    categoryName: { type: String, default: null },
+    // Name trigrams, to find autocomplete candidates for misspelt terms
+    nameGrams: { type: [String], select: false, index: true },
+    // Net units sold, ranks autocomplete suggestions
+    popularity: { type: Number, default: 0 },
     stock: { type: Number, required: true },
-    variants: [{ size: String, color: String, stock: Number }],
+    reserved: { type: Number, default: 0 },
+    locations: [locationStockSchema],
+    status: { type: String, enum: Object.keys(PRODUCT_STATUS_TRANSITIONS), default: "active" },
+    expectedAt: { type: Date },
+    lastStockChangeAt: { type: Date },
+    ...reorderFields,
+    variants: [variantSchema],
   },
-  { timestamps: true }
+  { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true }, id: false }
 );
 
+productSchema.virtual("available").get(function () {
+  return Math.max((this.stock || 0) - (this.reserved || 0), 0);
+});
+
+// Full-text search, a match in the name counts most
+productSchema.index(
+  {
+    name: "text",
+    description: "text",
+    categoryName: "text",
+    "variants.size": "text",
+    "variants.color": "text",
+  },
+  {
+    name: "product_text_search",
+    weights: { name: 10, categoryName: 5, "variants.color": 3, "variants.size": 3, description: 1 },
+    default_language: "english",
+  }
+);
+
+// Name of a category for categoryName, null without one
+const categoryNameFor = async (categoryId) => {
+  if (!categoryId) return null;
+  const category = await mongoose.model("Category").findById(categoryId).select("name").lean();
+  return category ? category.name : null;
+};
+
+productSchema.pre("save", async function () {
+  if (this.isNew || this.isModified("category")) {
+    this.categoryName = await categoryNameFor(this.category);
+  }
+  if (this.isNew || this.isModified("name")) {
+    this.nameGrams = toGrams(this.name);
+  }
+});
+
+productSchema.pre("save", function (next) {
+  deriveStockFromLocations(this);
+  this.variants.forEach(deriveStockFromLocations);
+  applyDerivedStatus(this);
+  this.variants.forEach(applyDerivedStatus);
+  const now = new Date();
+  trackStockChange(this, now);
+  this.variants.forEach(variant => trackStockChange(variant, now));
+  next();
+});
+
 // this check if the model is already defined
-module.exports = mongoose.models.Product || mongoose.model("Product", productSchema);
\ No newline at end of file
+module.exports = mongoose.models.Product || mongoose.model("Product", productSchema);
+module.exports.PRODUCT_STATUS_TRANSITIONS = PRODUCT_STATUS_TRANSITIONS;
+module.exports.DATED_STATUSES = DATED_STATUSES;
+module.exports.deriveStatus = deriveStatus;
+module.exports.matchStatus = matchStatus;
+module.exports.getLocationQuantity = getLocationQuantity;
+module.exports.categoryNameFor = categoryNameFor;
@@ -1,9 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const { isAuth, isAdmin } = require('../middleware/auth');
+const { uploadImportFile } = require('../middleware/fileUpload');
 const { 
   getAllUsers, 
-  deleteUser 
+  updateUserRole,
+  updateUserStatus,
+  forcePasswordReset,
+  deleteUser,
+  revokeAllUserSessions,
+  getAuditLogs
 } = require('../controllers/adminController');
 const { 
   getAllCategories, 
@@ -15,33 +21,126 @@ const {
 const { 
   getAllProducts, 
   getProductById, 
+  exportProducts,
   createProduct, 
   updateProduct, 
+  updateProductStatus,
   deleteProduct 
 } = require('../controllers/productController');
+const {
+  getAllInventory,
+  getLowStockItems,
+  updateInventory,
+  deleteInventory,
+  bulkUpdateInventory
+} = require('../controllers/inventoryController');
+const {
+  importProducts,
+  getImportJobs,
+  getImportJob
+} = require('../controllers/importController');
+const {
+  getAllLocations,
+  getLocationById,
+  createLocation,
+  updateLocation,
+  deleteLocation
+} = require('../controllers/locationController');
+const {
+  getAllWebhooks,
+  getWebhookById,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  redeliverWebhookDelivery
+} = require('../controllers/webhookController');
+const {
+  getAllOrders,
+  updateOrderStatus
+} = require('../controllers/orderController');
+const {
+  getAllSynonyms,
+  createSynonym,
+  updateSynonym,
+  deleteSynonym,
+  getAllRedirects,
+  createRedirect,
+  updateRedirect,
+  deleteRedirect
+} = require('../controllers/searchRuleController');
+
+// Every admin route requires an authenticated admin
+router.use(isAuth, isAdmin);
 
 // User routes
-router.get('/users', isAuth, isAdmin, getAllUsers);
-router.delete('/users/:id', isAuth, isAdmin, deleteUser);
+router.get('/users', getAllUsers);
+router.patch('/users/:id/role', updateUserRole);
+router.patch('/users/:id/status', updateUserStatus);
+router.post('/users/:id/force-password-reset', forcePasswordReset);
+router.delete('/users/:id/sessions', revokeAllUserSessions);
+router.delete('/users/:id', deleteUser);
+
+// Audit trail
+router.get('/audit', getAuditLogs);
 
 // Category routes
-router.get('/api/category', isAuth, isAdmin, getAllCategories);
-router.get('/api/category/:id', isAuth, isAdmin, getCategoryById);
-router.post('/api/category', isAuth, isAdmin, createCategory);
-router.put('/api/category/:id', isAuth, isAdmin, updateCategory);
-router.delete('/api/category/:id', isAuth, isAdmin, deleteCategory);
+router.get('/categories', getAllCategories);
+router.get('/categories/:id', getCategoryById);
+router.post('/categories', createCategory);
+router.put('/categories/:id', updateCategory);
+router.delete('/categories/:id', deleteCategory);
 
 // Product routes
-router.get('/api/product', isAuth, isAdmin, getAllProducts);
-router.get('/api/product/:id', isAuth, isAdmin, getProductById);
-router.post('/api/product', isAuth, isAdmin, createProduct);
-router.put('/api/product/:id', isAuth, isAdmin, updateProduct);
-router.delete('/api/product/:id', isAuth, isAdmin, deleteProduct);
-router.get('/api/inventory', isAuth, isAdmin, getAllInventory);
-router.post('/api/inventory/:id', isAuth, isAdmin, updateInventory);
-router.delete('/api/inventory/:id', isAuth, isAdmin, deleteInventory);
-router.post('/api/inventory/bulk-update', isAuth, isAdmin, bulkUpdateInventory);
-router.get('/api/inventory/low-stock/:threshold', isAuth, isAdmin, getLowStockItems);
-
-
-module.exports = router;
\ No newline at end of file
+router.get('/products', getAllProducts);
+router.get('/products/export', exportProducts);
+router.post('/products/import', uploadImportFile, importProducts);
+router.get('/products/:id', getProductById);
+router.post('/products', createProduct);
+router.put('/products/:id', updateProduct);
+router.patch('/products/:id/status', updateProductStatus);
+router.delete('/products/:id', deleteProduct);
+
+// Inventory routes
+router.get('/inventory', getAllInventory);
+router.get('/inventory/low-stock', getLowStockItems);
+router.get('/inventory/low-stock/:threshold', getLowStockItems);
+router.post('/inventory/bulk-update', bulkUpdateInventory);
+router.post('/inventory/:id', updateInventory);
+router.delete('/inventory/:id', deleteInventory);
+
+// Bulk import jobs
+router.get('/imports', getImportJobs);
+router.get('/imports/:id', getImportJob);
+
+// Location routes
+router.get('/locations', getAllLocations);
+router.get('/locations/:id', getLocationById);
+router.post('/locations', createLocation);
+router.put('/locations/:id', updateLocation);
+router.delete('/locations/:id', deleteLocation);
+
+// Webhook routes
+router.get('/webhooks', getAllWebhooks);
+router.post('/webhooks', createWebhook);
+router.post('/webhooks/deliveries/:deliveryId/redeliver', redeliverWebhookDelivery);
+router.get('/webhooks/:id', getWebhookById);
+router.put('/webhooks/:id', updateWebhook);
+router.delete('/webhooks/:id', deleteWebhook);
+router.get('/webhooks/:id/deliveries', getWebhookDeliveries);
+
+// Order routes
+router.get('/orders', getAllOrders);
+router.patch('/orders/:id/status', updateOrderStatus);
+
+// Search synonym and redirect rules
+router.get('/search/synonyms', getAllSynonyms);
+router.post('/search/synonyms', createSynonym);
+router.put('/search/synonyms/:id', updateSynonym);
+router.delete('/search/synonyms/:id', deleteSynonym);
+router.get('/search/redirects', getAllRedirects);
+router.post('/search/redirects', createRedirect);
+router.put('/search/redirects/:id', updateRedirect);
+router.delete('/search/redirects/:id', deleteRedirect);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const { optionalAuth } = require('../middleware/auth');
+const {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+} = require('../controllers/cartController');
+
+// Works for signed-in users and for guests sending an x-cart-id header
+router.use(optionalAuth);
+
+router.get('/', getCart);
+router.delete('/', clearCart);
+router.post('/items', addCartItem);
+router.put('/items/:itemId', updateCartItem);
+router.delete('/items/:itemId', removeCartItem);
+
+module.exports = router;
@@ -3,6 +3,7 @@ const express = require('express');
 const router = express.Router();
 const categoryController = require('../controllers/categoryController');
 const { validateCategory } = require('../middleware/validators');
+const { isAuth, isAdmin } = require('../middleware/auth');
 // Get all categories
 router.get('/', categoryController.getAllCategories);
 
@@ -11,14 +12,16 @@ router.get('/:id', categoryController.getCategoryById);
 
 // Create a new category
 router.post('/',
+  isAuth,
+  isAdmin,
   validateCategory,
   categoryController.createCategory
 );
 
 // Update a category
-router.put('/:id', categoryController.updateCategory);
+router.put('/:id', isAuth, isAdmin, categoryController.updateCategory);
 
 // Delete a category
-router.delete('/:id', categoryController.deleteCategory);
+router.delete('/:id', isAuth, isAdmin, categoryController.deleteCategory);
 
 module.exports = router;
\ No newline at end of file
@@ -4,9 +4,27 @@ const { isAuth, isAdmin, hasRole } = require('../middleware/auth');
 const { 
   getAllInventory, 
   getLowStockItems, 
+  getMovements,
+  createMovement,
+  createTransfer,
+  createReservation,
+  getReservation,
+  confirmReservation,
+  releaseReservation,
 } = require('../controllers/inventoryController');
 
 router.get('/', isAuth, isAdmin, getAllInventory);
+router.get('/low-stock', isAuth, isAdmin, getLowStockItems);
 router.get('/low-stock/:threshold', isAuth, isAdmin, getLowStockItems);
+router.post('/transfers', isAuth, isAdmin, createTransfer);
+router.get('/:id/movements', isAuth, isAdmin, getMovements);
+router.post('/:id/movements', isAuth, isAdmin, createMovement);
+
+// Checkout holds, available to any signed-in customer. Customers confirm
+// theirs by placing an order, confirming one directly is for admins.
+router.post('/reservations', isAuth, createReservation);
+router.get('/reservations/:id', isAuth, getReservation);
+router.post('/reservations/:id/confirm', isAuth, isAdmin, confirmReservation);
+router.delete('/reservations/:id', isAuth, releaseReservation);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { isAuth } = require('../middleware/auth');
+const {
+  createOrder,
+  getOrderById,
+  cancelOrder,
+} = require('../controllers/orderController');
+
+router.post('/', isAuth, createOrder);
+router.get('/:id', isAuth, getOrderById);
+router.post('/:id/cancel', isAuth, cancelOrder);
+
+module.exports = router;
@@ -3,10 +3,14 @@ const router = express.Router();
 const productController = require('../controllers/productController');
 const { validateProduct } = require('../middleware/validators');
 const { uploadProductImage } = require('../middleware/fileUpload');
+const { isAuth, isAdmin } = require('../middleware/auth');
 
 // Get all products
 router.get('/', productController.getAllProducts);
 
+// Export the catalog as CSV or NDJSON
+router.get('/export', isAuth, isAdmin, productController.exportProducts);
+
 // Get product by ID
 router.get('/:id', productController.getProductById);
 
@@ -15,6 +19,8 @@ router.get('/category/:categoryId', productController.getProductsByCategory);
 
 // Create a new product
 router.post('/',
+  isAuth,
+  isAdmin,
   uploadProductImage,
   validateProduct,
   productController.createProduct
@@ -22,12 +28,17 @@ router.post('/',
 
 // Update a product
 router.put('/:id',
+  isAuth,
+  isAdmin,
   uploadProductImage,
   validateProduct,
   productController.updateProduct
 );
 
+// Change the lifecycle status of a product or variant
+router.patch('/:id/status', isAuth, isAdmin, productController.updateProductStatus);
+
 // Delete a product
-router.delete('/:id', productController.deleteProduct);
+router.delete('/:id', isAuth, isAdmin, productController.deleteProduct);
 
 module.exports = router;
\ No newline at end of file
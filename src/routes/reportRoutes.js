@@ -3,12 +3,26 @@ const router = express.Router();
 const { isAuth, isAdmin } = require('../middleware/auth');
 const {
   getInventoryValueReport,
+  getInventoryValueHistoryReport,
+  createInventorySnapshot,
   getStockLevelReport,
   getLowStockReport,
+  getReplenishmentReport,
+  getStockAgingReport,
+  getTopSearchQueriesReport,
+  getZeroResultSearchesReport,
+  getLowClickThroughReport,
 } = require('../controllers/reportController');
 
 router.get('/inventory-value', isAuth, isAdmin, getInventoryValueReport);
+router.get('/inventory-value/history', isAuth, isAdmin, getInventoryValueHistoryReport);
+router.post('/inventory-value/snapshots', isAuth, isAdmin, createInventorySnapshot);
 router.get('/stock-levels', isAuth, isAdmin, getStockLevelReport);
 router.get('/low-stock', isAuth, isAdmin, getLowStockReport);
+router.get('/replenishment', isAuth, isAdmin, getReplenishmentReport);
+router.get('/stock-aging', isAuth, isAdmin, getStockAgingReport);
+router.get('/search/top-queries', isAuth, isAdmin, getTopSearchQueriesReport);
+router.get('/search/zero-results', isAuth, isAdmin, getZeroResultSearchesReport);
+router.get('/search/low-click-through', isAuth, isAdmin, getLowClickThroughReport);
 
 module.exports = router;
\ No newline at end of file
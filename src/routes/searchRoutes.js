@@ -4,10 +4,12 @@ const {
   searchProducts,
   getSuggestions,
   searchByVariants,
+  recordClick,
 } = require('../controllers/searchController');
 
 router.get('/', searchProducts);
 router.get('/suggestions', getSuggestions);
 router.get('/variants', searchByVariants);
+router.post('/clicks', recordClick);
 
 module.exports = router;
\ No newline at end of file
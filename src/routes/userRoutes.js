@@ -3,14 +3,32 @@ const router = express.Router();
 const {
   registerUser,
   loginUser,
+  refreshTokens,
+  logoutUser,
+  getSessions,
+  deleteSession,
   getCurrentUser,
-  updateProfile
+  updateProfile,
+  forgotPassword,
+  resetPassword,
+  activateAccount,
+  resendActivation
 } = require('../controllers/userController');
+const { getMyOrders } = require('../controllers/orderController');
 const { isAuth } = require('../middleware/auth');
 
 router.post('/register', registerUser);
 router.post('/login', loginUser);
+router.post('/refresh', refreshTokens);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password/:token', resetPassword);
+router.get('/activate/:token', activateAccount);
+router.post('/activate/resend', resendActivation);
 router.get('/me', isAuth, getCurrentUser);
 router.put('/me', isAuth, updateProfile);
+router.post('/logout', isAuth, logoutUser);
+router.get('/me/sessions', isAuth, getSessions);
+router.delete('/me/sessions/:id', isAuth, deleteSession);
+router.get('/me/orders', isAuth, getMyOrders);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,23 @@
+// One-off run of the search field backfill the server also does at startup:
+// npm run backfill:search
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { backfillSearchFields } = require('../utils/productWrites');
+
+dotenv.config();
+
+const run = async () => {
+  await connectDB();
+  try {
+    const { categoryNames, nameGrams } = await backfillSearchFields();
+    console.log(`Filled in ${categoryNames} category names and ${nameGrams} name trigrams`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch(error => {
+  console.error('Search backfill failed:', error);
+  process.exit(1);
+});
@@ -5,6 +5,11 @@ const morgan = require('morgan');
 const helmet = require('helmet');
 const connectDB = require('./config/db');
 const rateLimit = require('express-rate-limit');
+const { scheduleJob } = require('./utils/scheduler');
+const { releaseExpiredReservations } = require('./utils/reservations');
+const { retryPendingDeliveries } = require('./utils/webhooks');
+const { takeSnapshotIfDue } = require('./utils/inventoryValuation');
+const { backfillSearchFields } = require('./utils/productWrites');
 
 // Import routes 
 const productRoutes = require('./routes/productRoutes');
@@ -13,6 +18,9 @@ const searchRoutes = require('./routes/searchRoutes');
 const inventoryRoutes = require('./routes/inventoryRoutes');
 const reportRoutes = require('./routes/reportRoutes');
 const userRoutes = require('./routes/userRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const orderRoutes = require('./routes/orderRoutes');
+const cartRoutes = require('./routes/cartRoutes');
 
 
 // Load environment variables
@@ -43,6 +51,32 @@ app.use('/api', apiLimiter);
 // Connect to MongoDB
 connectDB();
 
+// Fill in the search fields of products saved before they were stored
+backfillSearchFields()
+  .then(({ categoryNames, nameGrams }) => {
+    if (categoryNames || nameGrams) {
+      console.log(`Search backfill: ${categoryNames} category names, ${nameGrams} name trigrams`);
+    }
+  })
+  .catch(error => console.error('Search backfill failed:', error));
+
+// Background jobs
+scheduleJob(
+  'release-expired-reservations',
+  Number(process.env.RESERVATION_SWEEP_INTERVAL_MS) || 30 * 1000,
+  releaseExpiredReservations
+);
+scheduleJob(
+  'retry-webhook-deliveries',
+  Number(process.env.WEBHOOK_RETRY_INTERVAL_MS) || 30 * 1000,
+  retryPendingDeliveries
+);
+// Checked often and at startup, a snapshot is only taken once the last one is old enough
+const snapshotIntervalMs = Number(process.env.INVENTORY_SNAPSHOT_INTERVAL_MS) || 24 * 60 * 60 * 1000;
+const checkSnapshot = () => takeSnapshotIfDue(snapshotIntervalMs);
+scheduleJob('inventory-value-snapshot', Math.min(snapshotIntervalMs, 60 * 60 * 1000), checkSnapshot);
+checkSnapshot().catch(error => console.error('Inventory snapshot failed:', error));
+
 
 // Routes
 app.use('/api/products', productRoutes);
@@ -51,6 +85,9 @@ app.use('/api/search', searchRoutes);
 app.use('/api/inventory', inventoryRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/cart', cartRoutes);
 
 
 // Start server
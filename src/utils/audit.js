@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// Never copy secrets into the audit trail, only record that they changed
+const REDACTED_FIELDS = ['password', 'resetPasswordToken', 'activationToken', 'secret'];
+// Bookkeeping fields that change on every write
+const IGNORED_FIELDS = ['__v', 'updatedAt', 'createdAt'];
+
+const toPlain = (doc) => {
+  if (!doc) return {};
+  return typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true, virtuals: false }) : doc;
+};
+
+const normalizeValue = (value) => {
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return JSON.parse(JSON.stringify(value));
+  return value;
+};
+
+// Flattens nested objects into dotted paths; arrays are compared as a whole
+const flatten = (value, prefix = '', result = {}) => {
+  Object.entries(value || {}).forEach(([key, fieldValue]) => {
+    if (!prefix && IGNORED_FIELDS.includes(key)) return;
+
+    const path = prefix ? `${prefix}.${key}` : key;
+    const isPlainObject = fieldValue
+      && typeof fieldValue === 'object'
+      && !Array.isArray(fieldValue)
+      && !(fieldValue instanceof Date)
+      && !(fieldValue instanceof mongoose.Types.ObjectId);
+
+    if (isPlainObject) {
+      flatten(fieldValue, path, result);
+    } else {
+      result[path] = normalizeValue(fieldValue);
+    }
+  });
+  return result;
+};
+
+// Returns [{ path, before, after }] for every field that differs
+const diffDocuments = (before, after) => {
+  const flatBefore = flatten(toPlain(before));
+  const flatAfter = flatten(toPlain(after));
+  const paths = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+
+  const changes = [];
+  paths.forEach(path => {
+    if (path === '_id') return;
+    if (JSON.stringify(flatBefore[path]) === JSON.stringify(flatAfter[path])) return;
+
+    const redacted = REDACTED_FIELDS.includes(path.split('.')[0]);
+    changes.push({
+      path,
+      before: redacted && flatBefore[path] !== undefined ? '[REDACTED]' : flatBefore[path],
+      after: redacted && flatAfter[path] !== undefined ? '[REDACTED]' : flatAfter[path],
+    });
+  });
+  return changes;
+};
+
+// Records who changed what. Failures are logged but never break the request.
+const recordAudit = async (req, { action, entityType, entityId, before, after, actor, metadata }) => {
+  try {
+    const actingUser = actor || (req && req.user);
+
+    await AuditLog.create({
+      actor: actingUser ? actingUser._id : null,
+      actorEmail: actingUser ? actingUser.email : undefined,
+      action,
+      entityType,
+      entityId,
+      changes: diffDocuments(before, after),
+      metadata,
+      ip: req ? req.ip : undefined,
+      userAgent: req ? req.get('user-agent') : undefined,
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+module.exports = { recordAudit, diffDocuments };
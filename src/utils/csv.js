@@ -0,0 +1,88 @@
+// Small RFC 4180 CSV reader and writer: quoted fields, escaped quotes ("") and line breaks inside quotes
+
+// Splits CSV text into rows of string fields
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field in CSV');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  return rows.filter(r => r.length > 1 || r[0].trim() !== '');
+};
+
+// Parses CSV with a header row into one object per record
+const parseCsvRecords = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim());
+  return rows.map(values => columns.reduce((record, column, index) => {
+    if (column) record[column] = values[index] === undefined ? '' : values[index];
+    return record;
+  }, {}));
+};
+
+// Quotes a value when it contains a separator, a quote, a line break or edge spaces
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Spreadsheets run text starting with these as a formula. Text that already
+// starts with the guard quote is guarded too, so unguarding gives it back as it was.
+const FORMULA_START = /^'*[=+\-@\t\r]/;
+
+// Prefixes text a spreadsheet would run as a formula with a quote, numbers are safe
+const guardFormula = (value) => (
+  typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value
+);
+
+// Reverses guardFormula, for CSV files exported here and imported again
+const unguardFormula = (value) => (
+  typeof value === 'string' && value.startsWith("'") && FORMULA_START.test(value) ? value.slice(1) : value
+);
+
+// One CSV line, terminated with CRLF as RFC 4180 asks
+const toCsvLine = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+module.exports = { parseCsv, parseCsvRecords, escapeCsvValue, toCsvLine, guardFormula, unguardFormula };
@@ -0,0 +1,97 @@
+// Lowercase without accents or punctuation, so "T-Shirt" and "tshirt" compare equal
+const normalize = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s]/gu, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const wordsOf = value => normalize(value).split(' ').filter(Boolean);
+
+/**
+ * Trigrams of every word, each word padded with a leading space so that
+ * grams at the start of a word are distinct. Stored on products to find
+ * suggestion candidates sharing grams with a misspelt term.
+ */
+const toGrams = (value) => {
+  const grams = new Set();
+  wordsOf(value).forEach(word => {
+    const padded = ` ${word}`;
+    if (padded.length < 3) {
+      grams.add(padded);
+      return;
+    }
+    for (let i = 0; i <= padded.length - 3; i++) {
+      grams.add(padded.slice(i, i + 3));
+    }
+  });
+  return [...grams];
+};
+
+/**
+ * Fewest edits (insertions, deletions, substitutions and swaps of adjacent
+ * letters) that turn `term` into a prefix of `word`.
+ */
+const prefixDistance = (term, word) => {
+  const rows = term.length + 1;
+  const cols = word.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => {
+    const row = new Array(cols).fill(0);
+    row[0] = i;
+    return row;
+  });
+  for (let j = 0; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = term[i - 1] === word[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && term[i - 1] === word[j - 2] && term[i - 2] === word[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  // The rest of the word is free, the term only has to match its start
+  return Math.min(...d[term.length]);
+};
+
+// Typos allowed for a term of this length
+const allowedEdits = length => (length <= 3 ? 0 : length <= 6 ? 1 : 2);
+
+/**
+ * How well a typed term matches a text, from 0 (no match) to 1 (the text
+ * starts with the term). Every word of the term has to be the start of a
+ * word of the text, within a few typos.
+ */
+const matchQuality = (term, text) => {
+  const termWords = wordsOf(term);
+  const textWords = wordsOf(text);
+  if (termWords.length === 0 || textWords.length === 0) return 0;
+
+  let total = 0;
+  for (const termWord of termWords) {
+    let best = Infinity;
+    let bestIndex = -1;
+    textWords.forEach((textWord, index) => {
+      const distance = prefixDistance(termWord, textWord);
+      if (distance < best) {
+        best = distance;
+        bestIndex = index;
+      }
+    });
+    if (best > allowedEdits(termWord.length)) return 0;
+
+    // Typos cost most; a match on a later word costs a little
+    total += (1 - best / termWord.length) * (bestIndex === 0 ? 1 : 0.9);
+  }
+  return total / termWords.length;
+};
+
+module.exports = {
+  normalize,
+  toGrams,
+  prefixDistance,
+  matchQuality,
+};
@@ -0,0 +1,181 @@
+const Product = require('../models/product');
+const Category = require('../models/Category');
+const InventorySnapshot = require('../models/InventorySnapshot');
+const { httpError, parseDateRange } = require('./requestParams');
+
+// History buckets and the $dateToString format that names each period
+const HISTORY_INTERVALS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m',
+};
+
+// History range when `from` is not given
+const DEFAULT_HISTORY_DAYS = 30;
+
+const roundMoney = value => parseFloat((value || 0).toFixed(2));
+
+/**
+ * Current inventory value, computed in the database: each product is worth
+ * its price times its own stock plus the stock of its variants. Returns the
+ * total and the value per category, highest first. `match` narrows the
+ * products counted.
+ */
+const computeInventoryValue = async ({ match = {} } = {}) => {
+  const groups = await Product.aggregate([
+    { $match: match },
+    {
+      $project: {
+        category: 1,
+        value: {
+          $multiply: [
+            { $ifNull: ['$price', 0] },
+            { $add: [{ $ifNull: ['$stock', 0] }, { $sum: '$variants.stock' }] },
+          ],
+        },
+      },
+    },
+    {
+      $group: {
+        _id: '$category',
+        value: { $sum: '$value' },
+        productCount: { $sum: 1 },
+      },
+    },
+    {
+      $lookup: {
+        from: Category.collection.name,
+        localField: '_id',
+        foreignField: '_id',
+        as: 'category',
+      },
+    },
+    { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+    // Missing and deleted categories both count as uncategorized
+    {
+      $group: {
+        _id: { $ifNull: ['$category._id', null] },
+        name: { $first: { $ifNull: ['$category.name', 'Uncategorized'] } },
+        value: { $sum: '$value' },
+        productCount: { $sum: '$productCount' },
+      },
+    },
+    { $sort: { value: -1, name: 1 } },
+  ]);
+
+  const categories = groups.map(group => ({
+    category: group._id,
+    name: group.name,
+    value: roundMoney(group.value),
+    productCount: group.productCount,
+  }));
+
+  return {
+    totalValue: roundMoney(groups.reduce((sum, group) => sum + group.value, 0)),
+    productCount: groups.reduce((sum, group) => sum + group.productCount, 0),
+    categories,
+  };
+};
+
+// Stores the current inventory value as a snapshot
+const takeInventorySnapshot = async ({ trigger = 'scheduled', actor } = {}) => {
+  const value = await computeInventoryValue();
+  return InventorySnapshot.create({
+    ...value,
+    trigger,
+    takenAt: new Date(),
+    createdBy: actor ? actor._id : null,
+  });
+};
+
+/**
+ * Takes a scheduled snapshot when the last one is at least `intervalMs` old,
+ * or there is none. Checked at startup and regularly after, so restarts
+ * don't keep pushing the next snapshot back.
+ */
+const takeSnapshotIfDue = async (intervalMs) => {
+  const latest = await InventorySnapshot.findOne({ trigger: 'scheduled' })
+    .sort({ takenAt: -1 })
+    .select('takenAt')
+    .lean();
+  if (latest && Date.now() - latest.takenAt.getTime() < intervalMs) return null;
+  return takeInventorySnapshot({ trigger: 'scheduled' });
+};
+
+const change = (current, previous) => {
+  if (previous === undefined) return { change: null, changePercent: null };
+  const diff = roundMoney(current - previous);
+  return {
+    change: diff,
+    changePercent: previous === 0 ? null : parseFloat(((diff / previous) * 100).toFixed(2)),
+  };
+};
+
+/**
+ * Inventory value over time: the last snapshot of every day, week (ISO) or
+ * month between `from` and `to` (UTC), with the change from the period
+ * before, in total and per category.
+ */
+const getInventoryValueHistory = async ({ from, to, interval = 'day' } = {}) => {
+  if (!HISTORY_INTERVALS[interval]) {
+    throw httpError(`Interval must be one of: ${Object.keys(HISTORY_INTERVALS).join(', ')}`, 400);
+  }
+
+  const { from: fromDate, to: toDate } = parseDateRange({ from, to }, { defaultDays: DEFAULT_HISTORY_DAYS });
+
+  const periods = await InventorySnapshot.aggregate([
+    { $match: { takenAt: { $gte: fromDate, $lte: toDate } } },
+    { $sort: { takenAt: 1 } },
+    {
+      $group: {
+        _id: { $dateToString: { format: HISTORY_INTERVALS[interval], date: '$takenAt' } },
+        snapshot: { $last: '$$ROOT' },
+        snapshotCount: { $sum: 1 },
+      },
+    },
+    { $sort: { 'snapshot.takenAt': 1 } },
+  ]);
+
+  let previous;
+  const series = periods.map(({ _id: period, snapshot, snapshotCount }) => {
+    const previousCategories = new Map(
+      (previous ? previous.categories : []).map(category => [String(category.category || category.name), category.value])
+    );
+
+    const point = {
+      period,
+      takenAt: snapshot.takenAt,
+      snapshotCount,
+      totalValue: snapshot.totalValue,
+      productCount: snapshot.productCount,
+      ...change(snapshot.totalValue, previous ? previous.totalValue : undefined),
+      categories: snapshot.categories.map(category => {
+        const key = String(category.category || category.name);
+        // A category missing from the previous period is compared against zero
+        const before = previous ? previousCategories.get(key) || 0 : undefined;
+        return { ...category, ...change(category.value, before) };
+      }),
+    };
+    previous = snapshot;
+    return point;
+  });
+
+  const first = series[0];
+  const last = series[series.length - 1];
+
+  return {
+    from: fromDate,
+    to: toDate,
+    interval,
+    series,
+    change: first ? change(last.totalValue, first.totalValue).change : null,
+  };
+};
+
+module.exports = {
+  HISTORY_INTERVALS,
+  computeInventoryValue,
+  takeInventorySnapshot,
+  takeSnapshotIfDue,
+  getInventoryValueHistory,
+};
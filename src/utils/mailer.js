@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+
+// Outbox transport: writes every message as a JSON file so flows can be tested offline
+const createOutboxTransport = (outboxDir = process.env.MAIL_OUTBOX_DIR || 'outbox/') => {
+  return {
+    name: 'outbox',
+    send: async (message) => {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+      const filePath = path.join(outboxDir, fileName);
+      await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+      return { id: fileName, path: filePath };
+    }
+  };
+};
+
+// Console transport: only logs the message, handy during development
+const createConsoleTransport = () => {
+  return {
+    name: 'console',
+    send: async (message) => {
+      console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+      return { id: `${Date.now()}` };
+    }
+  };
+};
+
+const transports = {
+  outbox: createOutboxTransport,
+  console: createConsoleTransport
+};
+
+let activeTransport;
+
+// Swap the transport at runtime (e.g. an SMTP or API based one)
+const setTransport = (transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  activeTransport = transport;
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const factory = transports[process.env.MAIL_TRANSPORT] || transports.outbox;
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'no-reply@product-catalog.local',
+    to,
+    subject,
+    text,
+    html,
+    createdAt: new Date().toISOString()
+  };
+  return getTransport().send(message);
+};
+
+// Builds links that point back to the client application
+const buildClientUrl = (pathname) => {
+  const baseUrl = process.env.CLIENT_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return `${baseUrl.replace(/\/$/, '')}${pathname}`;
+};
+
+// Builds links that point at this API (e.g. GET activation routes)
+const buildApiUrl = (pathname) => {
+  const baseUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return `${baseUrl.replace(/\/$/, '')}${pathname}`;
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  getTransport,
+  buildClientUrl,
+  buildApiUrl,
+  createOutboxTransport,
+  createConsoleTransport
+};
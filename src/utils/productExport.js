@@ -0,0 +1,76 @@
+const { httpError } = require('./requestParams');
+
+const isoDate = (value) => (value ? new Date(value).toISOString() : undefined);
+
+// Export columns and how to read them. The names match the import format, so
+// an exported file can be edited and imported again.
+const PRODUCT_COLUMNS = {
+  _id: product => String(product._id),
+  sku: product => product.sku,
+  name: product => product.name,
+  description: product => product.description,
+  price: product => product.price,
+  stock: product => product.stock,
+  image: product => product.image,
+  category: product => (product.category ? product.category.name : undefined),
+  status: product => product.status,
+  expectedAt: product => isoDate(product.expectedAt),
+  reorderPoint: product => product.reorderPoint,
+  reorderQuantity: product => product.reorderQuantity,
+  safetyStock: product => product.safetyStock,
+};
+
+const VARIANT_COLUMNS = {
+  'variant.size': variant => variant.size,
+  'variant.color': variant => variant.color,
+  'variant.stock': variant => variant.stock,
+  'variant.status': variant => variant.status,
+  'variant.expectedAt': variant => isoDate(variant.expectedAt),
+  'variant.reorderPoint': variant => variant.reorderPoint,
+  'variant.reorderQuantity': variant => variant.reorderQuantity,
+  'variant.safetyStock': variant => variant.safetyStock,
+};
+
+const EXPORT_COLUMNS = [...Object.keys(PRODUCT_COLUMNS), ...Object.keys(VARIANT_COLUMNS)];
+
+// Comma-separated column names, every column when none are given
+const parseColumns = (columns) => {
+  if (!columns) return EXPORT_COLUMNS;
+
+  const selected = String(columns).split(',').map(column => column.trim()).filter(Boolean);
+  const unknown = selected.filter(column => !EXPORT_COLUMNS.includes(column));
+  if (unknown.length > 0) {
+    throw httpError(`Unknown columns: ${unknown.join(', ')}. Columns must be among: ${EXPORT_COLUMNS.join(', ')}`, 400);
+  }
+  return selected.length > 0 ? selected : EXPORT_COLUMNS;
+};
+
+/**
+ * Flattens a product into export records, one per variant (or a single
+ * record without variant columns). Values are keyed by column name.
+ */
+const flattenProduct = (product, columns) => {
+  const productValues = {};
+  columns.filter(column => PRODUCT_COLUMNS[column]).forEach(column => {
+    productValues[column] = PRODUCT_COLUMNS[column](product);
+  });
+
+  const variantColumns = columns.filter(column => VARIANT_COLUMNS[column]);
+  if (!product.variants || product.variants.length === 0 || variantColumns.length === 0) {
+    return [productValues];
+  }
+
+  return product.variants.map(variant => {
+    const record = { ...productValues };
+    variantColumns.forEach(column => {
+      record[column] = VARIANT_COLUMNS[column](variant);
+    });
+    return record;
+  });
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  parseColumns,
+  flattenProduct,
+};
@@ -0,0 +1,408 @@
+const mongoose = require('mongoose');
+const path = require('path');
+const Product = require('../models/product');
+const Category = require('../models/Category');
+const { MAX_JOB_ERRORS } = require('../models/ImportJob');
+const { productSchema } = require('../middleware/validators');
+const { parseCsvRecords, unguardFormula } = require('./csv');
+const { httpError } = require('./requestParams');
+const { createProductWithStock, updateProductWithStock } = require('./productWrites');
+const { recordAudit } = require('./audit');
+const { emitEvent } = require('./webhooks');
+
+// CSV columns that hold JSON, e.g. [{"size":"M","color":"Red","stock":4}]
+const JSON_COLUMNS = ['variants'];
+
+// Flat rows (CSV, NDJSON) describe one variant each in columns with this prefix
+const VARIANT_PREFIX = 'variant.';
+
+// How often a running job saves its progress, in rows
+const PROGRESS_INTERVAL = 50;
+
+// Works out the file format from the extension, then the MIME type
+const detectFormat = (file) => {
+  const ext = path.extname(file.originalname || '').toLowerCase();
+  if (ext === '.csv' || file.mimetype === 'text/csv') return 'csv';
+  if (ext === '.ndjson' || file.mimetype === 'application/x-ndjson') return 'ndjson';
+  if (ext === '.json' || file.mimetype === 'application/json') return 'json';
+  return null;
+};
+
+const parseJson = (text, label) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw httpError(`Invalid JSON${label ? ` on ${label}` : ''}: ${error.message}`, 400);
+  }
+};
+
+// Empty cells are left out, strings are trimmed
+const cleanValue = (value) => {
+  if (value === null || value === undefined) return undefined;
+  if (typeof value !== 'string') return value;
+  const trimmed = value.trim();
+  return trimmed === '' ? undefined : trimmed;
+};
+
+const cleanRecord = (record, errors) => {
+  const input = {};
+  Object.entries(record).forEach(([column, raw]) => {
+    const value = cleanValue(raw);
+    if (value === undefined) return;
+
+    // CSV cells are always strings, JSON columns are decoded here and Joi converts the rest
+    if (JSON_COLUMNS.includes(column) && typeof value === 'string') {
+      try {
+        input[column] = JSON.parse(value);
+      } catch (error) {
+        errors.push(`${column} must be valid JSON`);
+      }
+      return;
+    }
+    input[column] = value;
+  });
+  return input;
+};
+
+const splitVariantColumns = (record) => {
+  const product = {};
+  const variant = {};
+  Object.entries(record).forEach(([column, value]) => {
+    if (column.startsWith(VARIANT_PREFIX)) {
+      variant[column.slice(VARIANT_PREFIX.length)] = value;
+    } else {
+      product[column] = value;
+    }
+  });
+  return { product, variant };
+};
+
+// The product ID of a row, for updating products that have no SKU
+const rowProductId = input => cleanValue(input._id) ?? cleanValue(input.productId);
+
+/**
+ * Turns flat records into one import row per product. A product with
+ * variants spans several records with the same product ID or SKU, one per
+ * variant; the product columns are taken from its first record.
+ */
+const groupFlatRecords = (records, rowNumber) => {
+  const rows = [];
+  const rowsWithVariantsByKey = new Map();
+
+  records.forEach((record, index) => {
+    const row = rowNumber(index);
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      rows.push({ row, input: {}, errors: ['Row must be an object'] });
+      return;
+    }
+
+    const errors = [];
+    const { product, variant } = splitVariantColumns(record);
+    const cleanVariant = cleanRecord(variant, errors);
+    const hasVariant = Object.keys(cleanVariant).length > 0;
+    const key = rowProductId(product) ?? cleanValue(product.sku);
+
+    const existing = hasVariant && key !== undefined && rowsWithVariantsByKey.get(key);
+    if (existing) {
+      existing.input.variants.push(cleanVariant);
+      existing.errors.push(...errors);
+      return;
+    }
+
+    const input = cleanRecord(product, errors);
+    if (hasVariant) {
+      if (input.variants) {
+        errors.push('Use either the variants column or variant.* columns, not both');
+      }
+      input.variants = [cleanVariant];
+    }
+
+    const importRow = { row, input, errors };
+    rows.push(importRow);
+    if (hasVariant && key !== undefined) {
+      rowsWithVariantsByKey.set(key, importRow);
+    }
+  });
+
+  return rows;
+};
+
+// Reads an uploaded file into one import row per product
+const readRows = (file, format) => {
+  const text = file.buffer.toString('utf8');
+
+  if (format === 'json') {
+    const data = parseJson(text);
+    const records = Array.isArray(data) ? data : data && data.products;
+    if (!Array.isArray(records)) {
+      throw httpError('A JSON import must be an array of products or { "products": [...] }', 400);
+    }
+    return records.map((record, index) => (
+      record && typeof record === 'object' && !Array.isArray(record)
+        ? { row: index + 1, input: record, errors: [] }
+        : { row: index + 1, input: {}, errors: ['Row must be an object'] }
+    ));
+  }
+
+  if (format === 'ndjson') {
+    const lines = text.split(/\r?\n/);
+    const records = [];
+    const lineNumbers = [];
+    lines.forEach((line, index) => {
+      if (line.trim() === '') return;
+      records.push(parseJson(line, `line ${index + 1}`));
+      lineNumbers.push(index + 1);
+    });
+    return groupFlatRecords(records, index => lineNumbers[index]);
+  }
+
+  let records;
+  try {
+    records = parseCsvRecords(text);
+  } catch (error) {
+    throw httpError(error.message, 400);
+  }
+  // Exported text starting like a formula carries a leading quote, dropped again here
+  records = records.map(record => Object.fromEntries(
+    Object.entries(record).map(([column, value]) => [column, unguardFormula(value)])
+  ));
+  // CSV rows are numbered like spreadsheet lines, after the header
+  return groupFlatRecords(records, index => index + 2);
+};
+
+/**
+ * Validates every row with the product schema, resolves category names to
+ * ids and decides whether each row creates or updates a product: by its
+ * `_id` (or `productId`) when it has one, which must be an existing product,
+ * otherwise by SKU. Nothing is written. Returns the rows with their errors
+ * and the categories the import would create.
+ */
+const validateRows = async (rows, { createCategories = false } = {}) => {
+  const categories = await Category.find().select('name');
+  const categoriesByName = new Map(categories.map(category => [category.name.toLowerCase(), category._id]));
+  const categoryIds = new Set(categories.map(category => String(category._id)));
+  const categoriesToCreate = new Map();
+  const seenSkus = new Set();
+  const seenIds = new Set();
+
+  const entries = rows.map(({ row, input, errors }) => {
+    const { _id, productId: rawProductId, ...fields } = input;
+    const { error, value } = productSchema.validate(fields, { abortEarly: false });
+    if (error) {
+      errors.push(...error.details.map(detail => detail.message));
+    }
+
+    let productId = rowProductId(input);
+    if (productId !== undefined) {
+      productId = String(productId);
+      if (!mongoose.Types.ObjectId.isValid(productId)) {
+        errors.push('Product ID must be a valid ID');
+      } else if (seenIds.has(productId)) {
+        errors.push(`Product ${productId} appears more than once in the file`);
+      } else {
+        seenIds.add(productId);
+      }
+    }
+
+    const sku = value.sku;
+    if (!sku) {
+      if (productId === undefined) {
+        errors.push('SKU is required to import a product, or the _id of an existing product to update');
+      }
+    } else if (seenSkus.has(sku)) {
+      errors.push(`SKU ${sku} appears more than once in the file`);
+    } else {
+      seenSkus.add(sku);
+    }
+
+    // Categories are referenced by name, an existing category id also works
+    let categoryName;
+    if (value.category) {
+      const name = String(value.category).trim();
+      if (mongoose.Types.ObjectId.isValid(name) && categoryIds.has(name)) {
+        value.category = name;
+      } else if (categoriesByName.has(name.toLowerCase())) {
+        value.category = categoriesByName.get(name.toLowerCase());
+      } else if (createCategories) {
+        categoryName = name;
+        if (!categoriesToCreate.has(name.toLowerCase())) {
+          categoriesToCreate.set(name.toLowerCase(), name);
+        }
+      } else {
+        errors.push(`Category "${name}" does not exist`);
+      }
+    }
+
+    return { row, sku, productId, input: value, categoryName, errors, action: null };
+  });
+
+  const skus = entries.filter(entry => entry.sku).map(entry => entry.sku);
+  const existing = await Product.find({ sku: { $in: skus } }).select('sku');
+  const productIdsBySku = new Map(existing.map(product => [product.sku, String(product._id)]));
+
+  const ids = entries.filter(entry => entry.productId && entry.errors.length === 0).map(entry => entry.productId);
+  const existingIds = new Set((await Product.find({ _id: { $in: ids } }).select('_id'))
+    .map(product => String(product._id)));
+
+  entries.forEach(entry => {
+    if (entry.errors.length > 0) return;
+
+    if (entry.productId) {
+      const skuOwner = entry.sku && productIdsBySku.get(entry.sku);
+      if (!existingIds.has(entry.productId)) {
+        entry.errors.push(`Product ${entry.productId} does not exist`);
+      } else if (skuOwner && skuOwner !== entry.productId) {
+        entry.errors.push(`SKU ${entry.sku} belongs to another product`);
+      } else {
+        entry.action = 'update';
+      }
+      return;
+    }
+    entry.action = productIdsBySku.has(entry.sku) ? 'update' : 'create';
+
+    // Model rules the Joi schema doesn't cover, such as the required image
+    if (entry.action === 'create') {
+      const { categoryName, input } = entry;
+      const product = new Product({ ...input, category: categoryName ? new mongoose.Types.ObjectId() : input.category });
+      const validation = product.validateSync();
+      if (validation) {
+        entry.errors.push(...Object.values(validation.errors).map(err => err.message));
+        entry.action = null;
+      }
+    }
+  });
+
+  return { entries, categoriesToCreate: [...categoriesToCreate.values()] };
+};
+
+// Per-row report of a validation pass
+const summarizeValidation = ({ entries, categoriesToCreate }) => {
+  const invalid = entries.filter(entry => entry.errors.length > 0);
+  return {
+    totalRows: entries.length,
+    valid: entries.length - invalid.length,
+    invalid: invalid.length,
+    toCreate: entries.filter(entry => entry.action === 'create').length,
+    toUpdate: entries.filter(entry => entry.action === 'update').length,
+    categoriesToCreate,
+    errors: invalid.map(({ row, sku, productId, errors }) => ({ row, sku, productId, messages: errors })),
+  };
+};
+
+const addRowError = (job, entry, messages) => {
+  job.failed += 1;
+  if (job.rowErrors.length < MAX_JOB_ERRORS) {
+    job.rowErrors.push({ row: entry.row, sku: entry.sku, productId: entry.productId, messages });
+  }
+};
+
+// Finds or creates a category by name, recording the ones that were created
+const ensureCategory = async (req, job, name) => {
+  const existing = await Category.findOne({ name });
+  if (existing) return existing._id;
+
+  const category = await Category.create({ name });
+  job.categoriesCreated.push(name);
+  await recordAudit(req, {
+    action: 'create',
+    entityType: 'Category',
+    entityId: category._id,
+    after: category,
+    metadata: { importJob: job._id }
+  });
+  await emitEvent('category.created', category);
+  return category._id;
+};
+
+// Creates or updates the product of one row, looked up by ID or SKU again in case it changed
+const importEntry = async (req, job, input, productId) => {
+  const reference = `import:${job._id}`;
+  const existingProduct = productId
+    ? await Product.findById(productId)
+    : await Product.findOne({ sku: input.sku });
+  if (productId && !existingProduct) {
+    throw httpError(`Product ${productId} does not exist`, 404);
+  }
+
+  if (existingProduct) {
+    const product = await updateProductWithStock(existingProduct, input, { reference, actor: req.user });
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'Product',
+      entityId: product._id,
+      before: existingProduct,
+      after: product,
+      metadata: { importJob: job._id }
+    });
+    await emitEvent('product.updated', product);
+    job.updated += 1;
+    return;
+  }
+
+  const product = await createProductWithStock(input, { reference, actor: req.user });
+  await recordAudit(req, {
+    action: 'create',
+    entityType: 'Product',
+    entityId: product._id,
+    after: product,
+    metadata: { importJob: job._id }
+  });
+  await emitEvent('product.created', product);
+  job.created += 1;
+};
+
+/**
+ * Runs a validated import: creates the missing categories, then writes the
+ * valid rows one by one. Invalid rows and rows that fail to save are recorded
+ * on the job, progress is saved as it goes.
+ */
+const runImportJob = async (req, job, { entries, categoriesToCreate }) => {
+  try {
+    job.status = 'running';
+    job.startedAt = new Date();
+    await job.save();
+
+    const categoryIds = new Map();
+    for (const name of categoriesToCreate) {
+      categoryIds.set(name.toLowerCase(), await ensureCategory(req, job, name));
+    }
+
+    for (const entry of entries) {
+      if (entry.errors.length > 0) {
+        addRowError(job, entry, entry.errors);
+      } else {
+        try {
+          const input = entry.categoryName
+            ? { ...entry.input, category: categoryIds.get(entry.categoryName.toLowerCase()) }
+            : entry.input;
+          await importEntry(req, job, input, entry.productId);
+        } catch (error) {
+          addRowError(job, entry, [error.message]);
+        }
+      }
+
+      job.processedRows += 1;
+      if (job.processedRows % PROGRESS_INTERVAL === 0) {
+        await job.save();
+      }
+    }
+
+    job.status = 'completed';
+  } catch (error) {
+    console.error(`Import job ${job._id} failed:`, error);
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  job.finishedAt = new Date();
+  await job.save();
+  return job;
+};
+
+module.exports = {
+  detectFormat,
+  readRows,
+  validateRows,
+  summarizeValidation,
+  runImportJob,
+};
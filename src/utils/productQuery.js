@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const { PRODUCT_STATUS_TRANSITIONS, matchStatus } = require('../models/product');
+const { httpError } = require('./requestParams');
+
+// Comma-separated values of a filter, each one is accepted (OR)
+const listOf = value => String(value).split(',').map(v => v.trim()).filter(Boolean);
+
+// A condition on one value or any of several
+const oneOf = values => (values.length === 1 ? values[0] : { $in: values });
+
+/**
+ * Builds the product filter from query parameters, split into the conditions
+ * that always apply and the ones of each facet (category, size, color,
+ * price), so facet counts can leave out their own selection. Ids are cast
+ * here because aggregations don't cast.
+ */
+const buildProductFilters = ({
+  keyword,
+  category,
+  minPrice,
+  maxPrice,
+  inStock,
+  size,
+  color,
+  status,
+} = {}) => {
+  const base = {};
+  const facets = {};
+
+  // Text index search: stemmed words, "quoted phrases" and -excluded words
+  if (keyword && String(keyword).trim()) {
+    base.$text = { $search: String(keyword).trim() };
+  }
+
+  if (category) {
+    const ids = listOf(category);
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw httpError('Invalid category ID format', 400);
+    }
+    facets.category = { category: oneOf(ids.map(id => new mongoose.Types.ObjectId(id))) };
+  }
+
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    const price = {};
+    if (minPrice !== undefined) price.$gte = Number(minPrice);
+    if (maxPrice !== undefined) price.$lte = Number(maxPrice);
+    facets.price = { price };
+  }
+
+  if (inStock === 'true') base.stock = { $gt: 0 };
+  else if (inStock === 'false') base.stock = 0;
+
+  // Comma-separated statuses, matched on the product or any of its variants
+  if (status) {
+    const statuses = listOf(status);
+    const invalid = statuses.filter(s => !Object.prototype.hasOwnProperty.call(PRODUCT_STATUS_TRANSITIONS, s));
+    if (invalid.length > 0) {
+      throw httpError(`Status must be one of: ${Object.keys(PRODUCT_STATUS_TRANSITIONS).join(', ')}`, 400);
+    }
+
+    base.$and = [{
+      $or: statuses.flatMap(s => [
+        { status: matchStatus(s) },
+        { variants: { $elemMatch: { status: matchStatus(s) } } },
+      ]),
+    }];
+  }
+
+  if (size) facets.size = { 'variants.size': oneOf(listOf(size)) };
+  if (color) facets.color = { 'variants.color': oneOf(listOf(color)) };
+  if ((size || color) && inStock === 'true') base['variants.stock'] = { $gt: 0 };
+
+  return { base, facets };
+};
+
+// Combines the base conditions with the facet conditions, except the skipped facet's
+const combineFilters = ({ base, facets }, skip) => {
+  const conditions = Object.entries(facets)
+    .filter(([facet]) => facet !== skip)
+    .map(([, condition]) => condition);
+  if (conditions.length === 0) return { ...base };
+  return { ...base, $and: [...(base.$and || []), ...conditions] };
+};
+
+// Builds the product filter shared by search and export from query parameters
+const buildProductQuery = (params = {}) => combineFilters(buildProductFilters(params));
+
+// Relevance is the default order of a keyword search and needs one
+const buildProductSort = (sortBy, { keyword } = {}) => {
+  const hasKeyword = Boolean(keyword && String(keyword).trim());
+  if (sortBy === 'relevance' && !hasKeyword) {
+    throw httpError('sortBy=relevance needs a keyword', 400);
+  }
+  if (sortBy === 'relevance' || (!sortBy && hasKeyword)) {
+    return { score: { $meta: 'textScore' }, _id: 1 };
+  }
+
+  switch (sortBy) {
+    case 'priceAsc':
+      return { price: 1 };
+    case 'priceDesc':
+      return { price: -1 };
+    case 'newest':
+      return { createdAt: -1 };
+    case 'nameAsc':
+      return { name: 1 };
+    default:
+      return { createdAt: -1 };
+  }
+};
+
+module.exports = { buildProductFilters, combineFilters, buildProductQuery, buildProductSort };
@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+const Product = require('../models/product');
+const { categoryNameFor } = require('../models/product');
+const { toGrams } = require('./fuzzyMatch');
+const {
+  findVariant,
+  setStockLevel,
+  clearStock,
+  placeInDefaultLocation,
+  recordOpeningBalance,
+  ledgerError
+} = require('./stockLedger');
+
+const isStockLevel = value => Number.isInteger(Number(value)) && Number(value) >= 0;
+
+// Stock fields of a variant, kept by the ledger and never rolled back with the other fields
+const VARIANT_STOCK_FIELDS = ['stock', 'reserved', 'locations', 'status', 'expectedAt', 'lastStockChangeAt'];
+
+/**
+ * Puts back the fields an update changed after one of its stock changes
+ * failed. Stock already moved stays, it is in the ledger: variants keep
+ * their current stock, and added variants that took stock are kept.
+ */
+const restoreFields = async (productId, previous, update) => {
+  const current = await Product.findById(productId).select('variants');
+  if (!current) return;
+
+  const restored = {};
+  Object.keys(update).forEach(key => {
+    if (key === 'nameGrams') restored.nameGrams = toGrams(previous.name);
+    else if (key !== 'variants') restored[key] = previous[key];
+  });
+
+  if (update.variants) {
+    const currentById = new Map(current.variants.map(variant => [String(variant._id), variant]));
+    restored.variants = (previous.variants || []).map(variant => {
+      const currentVariant = currentById.get(String(variant._id));
+      if (!currentVariant) return variant;
+      const stockFields = {};
+      VARIANT_STOCK_FIELDS.forEach(field => { stockFields[field] = currentVariant[field]; });
+      return { ...variant, ...stockFields };
+    });
+    const previousIds = new Set(restored.variants.map(variant => String(variant._id)));
+    current.variants
+      .filter(variant => !previousIds.has(String(variant._id)) && variant.stock > 0)
+      .forEach(variant => restored.variants.push(variant.toObject()));
+  }
+
+  // Fields the product didn't have before are removed again
+  const unset = {};
+  Object.keys(restored).forEach(key => {
+    if (restored[key] === undefined) {
+      unset[key] = '';
+      delete restored[key];
+    }
+  });
+  await Product.updateOne({ _id: productId }, { $set: restored, $unset: unset });
+};
+
+// Creates a product and starts the stock ledger with the quantities it was created with
+const createProductWithStock = async (input, { reference, actor } = {}) => {
+  const product = new Product(input);
+  await placeInDefaultLocation(product);
+  const savedProduct = await product.save();
+
+  await recordOpeningBalance(savedProduct, { reference, actor });
+  return savedProduct;
+};
+
+/**
+ * Updates a product. Stock is never overwritten directly, changes go through
+ * the stock ledger. Status has its own endpoint so transitions can be
+ * checked, so it is ignored here. Stock values are checked before anything
+ * is saved, and the field changes are undone when a stock change fails
+ * (e.g. a 409 on a concurrent change). Variants left out of `variants` are
+ * removed, their stock written off in the ledger first; one with reserved
+ * units can't be removed. Returns the updated product.
+ */
+const updateProductWithStock = async (existingProduct, input, { reference, actor } = {}) => {
+  const { stock, variants, reserved, locations, status, expectedAt, categoryName, ...fields } = input;
+  if (stock !== undefined && !isStockLevel(stock)) {
+    throw ledgerError('Stock must be a non-negative integer', 400);
+  }
+  if (Array.isArray(variants) && variants.some(variant => variant && variant.stock !== undefined && !isStockLevel(variant.stock))) {
+    throw ledgerError('Variant stock must be a non-negative integer', 400);
+  }
+
+  const update = { ...fields };
+  if (fields.category !== undefined) {
+    update.categoryName = await categoryNameFor(fields.category);
+  }
+  if (fields.name !== undefined) {
+    update.nameGrams = toGrams(fields.name);
+  }
+  const variantStockChanges = [];
+
+  if (Array.isArray(variants)) {
+    update.variants = variants.map(variantInput => {
+      const {
+        stock: variantStock,
+        reserved: _reserved,
+        locations: _locations,
+        status: _status,
+        expectedAt: _expectedAt,
+        ...variantFields
+      } = variantInput;
+      const existingVariant = findVariant(existingProduct, variantInput);
+      const variant = existingVariant
+        ? {
+          ...variantFields,
+          _id: existingVariant._id,
+          stock: existingVariant.stock,
+          reserved: existingVariant.reserved,
+          locations: existingVariant.locations,
+          status: existingVariant.status,
+          expectedAt: existingVariant.expectedAt,
+          lastStockChangeAt: existingVariant.lastStockChangeAt
+        }
+        : { ...variantFields, _id: new mongoose.Types.ObjectId(), stock: 0, status: 'out-of-stock' };
+
+      if (variantStock !== undefined) {
+        variantStockChanges.push({ variantId: variant._id, stock: Number(variantStock) });
+      }
+      return variant;
+    });
+  }
+
+  // Removed variants give up their stock through the ledger before they go
+  const removedVariants = update.variants
+    ? existingProduct.variants.filter(variant => !update.variants.some(kept => kept._id.equals(variant._id)))
+    : [];
+  const reservedVariant = removedVariants.find(variant => (variant.reserved || 0) > 0);
+  if (reservedVariant) {
+    const label = [reservedVariant.size, reservedVariant.color].filter(Boolean).join(' / ');
+    throw ledgerError(`Variant ${label} has reserved units and can't be removed`, 409);
+  }
+  for (const variant of removedVariants) {
+    if ((variant.stock || 0) > 0) {
+      await clearStock({ productId: existingProduct._id, variantId: variant._id, item: variant, reference, actor });
+    }
+  }
+
+  const previous = existingProduct.toObject({ virtuals: false });
+  await Product.findByIdAndUpdate(existingProduct._id, update, { runValidators: true });
+
+  try {
+    if (stock !== undefined) {
+      await setStockLevel({ productId: existingProduct._id, stock: Number(stock), reference, actor });
+    }
+    for (const change of variantStockChanges) {
+      await setStockLevel({ productId: existingProduct._id, ...change, reference, actor });
+    }
+  } catch (error) {
+    await restoreFields(existingProduct._id, previous, update);
+    throw error;
+  }
+
+  return Product.findById(existingProduct._id);
+};
+
+// Brings the copied category name of products in line with their categories,
+// for one category, or for every product missing it (returns how many were filled in)
+const syncCategoryNames = async (category) => {
+  if (category) {
+    return Product.updateMany({ category: category._id }, { $set: { categoryName: category.name } });
+  }
+
+  let updated = 0;
+  const categoryIds = await Product.distinct('category', { category: { $ne: null }, categoryName: null });
+  for (const categoryId of categoryIds) {
+    const name = await categoryNameFor(categoryId);
+    if (!name) continue;
+    const result = await Product.updateMany({ category: categoryId, categoryName: null }, { $set: { categoryName: name } });
+    updated += result.modifiedCount;
+  }
+  return updated;
+};
+
+// Fills in the name trigrams of products saved before they were stored,
+// returns how many were filled in
+const syncNameGrams = async () => {
+  let updated = 0;
+  const cursor = Product.find({ nameGrams: { $exists: false } }).select('name').lean().cursor();
+  for await (const product of cursor) {
+    await Product.updateOne({ _id: product._id }, { $set: { nameGrams: toGrams(product.name) } });
+    updated += 1;
+  }
+  return updated;
+};
+
+/**
+ * Fills in the search fields (category name for the text index, name
+ * trigrams for suggestions) of products saved before those fields existed.
+ * Products that have them are skipped, so it is safe to run at every start.
+ */
+const backfillSearchFields = async () => ({
+  categoryNames: await syncCategoryNames(),
+  nameGrams: await syncNameGrams(),
+});
+
+module.exports = {
+  createProductWithStock,
+  backfillSearchFields,
+  syncNameGrams,
+  syncCategoryNames,
+  updateProductWithStock,
+};
@@ -0,0 +1,39 @@
+const { getLocationQuantity } = require('../models/product');
+
+// Reorder point of a product or variant, or the fallback when it has none
+const reorderPointFor = (item, fallback) => (
+  item.reorderPoint !== undefined && item.reorderPoint !== null ? item.reorderPoint : fallback
+);
+
+// Stock compared against the reorder point, optionally at a single location
+const stockFor = (item, location) => (location ? getLocationQuantity(item, location) : item.stock || 0);
+
+/**
+ * Whether a product or variant is at or below its reorder point. An explicit
+ * threshold overrides the item's own reorder point; otherwise items without
+ * one use `fallback`. Discontinued items are never reordered.
+ */
+const needsReorder = (item, { threshold, fallback, location } = {}) => {
+  if (item.status === 'discontinued') return false;
+
+  const point = threshold !== undefined ? threshold : reorderPointFor(item, fallback);
+  if (point === undefined) return false;
+
+  return stockFor(item, location) <= point;
+};
+
+/**
+ * Units to order for an item: its reorder quantity, or more when that would
+ * not lift stock above the reorder point plus safety stock.
+ */
+const suggestedOrderQuantity = (item) => {
+  const target = (item.reorderPoint || 0) + (item.safetyStock || 0);
+  const shortfall = target - (item.stock || 0) + 1;
+  return Math.max(item.reorderQuantity || 0, shortfall, 0);
+};
+
+module.exports = {
+  reorderPointFor,
+  needsReorder,
+  suggestedOrderQuantity,
+};
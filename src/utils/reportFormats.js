@@ -0,0 +1,107 @@
+const { toCsvLine, guardFormula } = require('./csv');
+const { httpError } = require('./requestParams');
+
+const REPORT_FORMATS = ['json', 'csv', 'html'];
+
+// Reads and checks the ?format= parameter, JSON by default
+const parseReportFormat = (format) => {
+  const value = format ? String(format).toLowerCase() : 'json';
+  if (!REPORT_FORMATS.includes(value)) {
+    throw httpError(`Format must be one of: ${REPORT_FORMATS.join(', ')}`, 400);
+  }
+  return value;
+};
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return value;
+};
+
+// Report CSVs are opened in spreadsheets, so names are kept from running as formulas
+const csvCell = (value) => guardFormula(formatCell(value));
+
+const renderCsv = ({ columns, rows }) => [
+  toCsvLine(columns.map(column => csvCell(column.label))),
+  ...rows.map(row => toCsvLine(columns.map(column => csvCell(row[column.key])))),
+].join('');
+
+// A self-contained page that prints cleanly from the browser (or "Save as PDF")
+const renderHtml = ({ title, generatedAt, summary = [], columns, rows }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; font-size: 12px; color: #222; margin: 24px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  .generated { color: #666; margin-bottom: 16px; }
+  dl { display: grid; grid-template-columns: max-content auto; gap: 4px 16px; margin: 0 0 16px; }
+  dt { font-weight: bold; }
+  dd { margin: 0; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #ccc; padding: 4px 6px; text-align: left; }
+  th { background: #f2f2f2; }
+  td.number { text-align: right; }
+  @media print {
+    body { margin: 0; }
+    thead { display: table-header-group; }
+    tr { page-break-inside: avoid; }
+  }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="generated">Generated ${escapeHtml(generatedAt.toISOString())}</div>
+${summary.length > 0 ? `<dl>
+${summary.map(([label, value]) => `  <dt>${escapeHtml(label)}</dt><dd>${escapeHtml(formatCell(value))}</dd>`).join('\n')}
+</dl>` : ''}
+<table>
+<thead><tr>${columns.map(column => `<th>${escapeHtml(column.label)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.map(row => `<tr>${columns.map(column => {
+    const value = formatCell(row[column.key]);
+    return `<td${typeof value === 'number' ? ' class="number"' : ''}>${escapeHtml(value)}</td>`;
+  }).join('')}</tr>`).join('\n')}
+</tbody>
+</table>
+</body>
+</html>
+`;
+
+/**
+ * Sends a report as JSON, or as a CSV download or printable HTML page built
+ * from a flat table: `columns` are { key, label } and `rows` are objects.
+ */
+const sendReport = (res, format, { name, title, json, summary, columns, rows }) => {
+  if (format === 'json') {
+    return res.status(200).json(json);
+  }
+
+  const generatedAt = new Date();
+  const filename = `${name}-${generatedAt.toISOString().slice(0, 10)}.${format}`;
+
+  if (format === 'csv') {
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+    });
+    return res.status(200).send(renderCsv({ columns, rows }));
+  }
+
+  res.set({
+    'Content-Type': 'text/html; charset=utf-8',
+    'Content-Disposition': `inline; filename="${filename}"`,
+  });
+  return res.status(200).send(renderHtml({ title, generatedAt, summary, columns, rows }));
+};
+
+module.exports = { REPORT_FORMATS, parseReportFormat, sendReport };
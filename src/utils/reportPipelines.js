@@ -0,0 +1,389 @@
+const mongoose = require('mongoose');
+const Product = require('../models/product');
+const Category = require('../models/Category');
+const { httpError, parseDateRange } = require('./requestParams');
+
+// Upper bounds of the low and medium stock bands when none are given
+const DEFAULT_STOCK_BANDS = [5, 20];
+
+// Days without a stock change that start each stock aging bucket after the first
+const DEFAULT_AGING_BUCKETS = [30, 60, 90];
+
+// Dead-stock items listed per category when no limit is given
+const DEFAULT_DEAD_STOCK_LIMIT = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundMoney = value => parseFloat((value || 0).toFixed(2));
+
+/**
+ * Builds the $match stage shared by the reports from query parameters:
+ * `category` (comma-separated ids) and `from`/`to`, the range the products
+ * were created in. Aggregations don't cast, so ids and dates are converted here.
+ */
+const buildReportMatch = ({ category, from, to } = {}) => {
+  const match = {};
+
+  if (category) {
+    const ids = String(category).split(',').map(id => id.trim()).filter(Boolean);
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw httpError('Invalid category ID format', 400);
+    }
+    match.category = { $in: ids.map(id => new mongoose.Types.ObjectId(id)) };
+  }
+
+  const range = parseDateRange({ from, to });
+  if (range.from || range.to) {
+    match.createdAt = {};
+    if (range.from) match.createdAt.$gte = range.from;
+    if (range.to) match.createdAt.$lte = range.to;
+  }
+
+  return match;
+};
+
+// Reads a comma-separated list of ascending positive whole numbers
+const parseBounds = (value, defaults, name) => {
+  if (value === undefined || value === '') return defaults;
+
+  const bounds = String(value).split(',').map(bound => Number(bound.trim()));
+  const valid = bounds.every((bound, index) => (
+    Number.isInteger(bound) && bound > 0 && (index === 0 || bound > bounds[index - 1])
+  ));
+  if (!valid) {
+    throw httpError(`${name} must be ascending positive whole numbers, e.g. ${name.toLowerCase()}=${defaults.join(',')}`, 400);
+  }
+  return bounds;
+};
+
+/**
+ * Reads `bands=5,20` into ascending upper bounds for the stock bands above
+ * out of stock. The default gives Low (1-5), Medium (6-20) and High (21+).
+ */
+const parseStockBands = (bands) => parseBounds(bands, DEFAULT_STOCK_BANDS, 'Bands');
+
+// Reads `buckets=30,60,90`, the ages in days where each stock aging bucket starts
+const parseAgingBuckets = (buckets) => parseBounds(buckets, DEFAULT_AGING_BUCKETS, 'Buckets');
+
+// Names the bands: the usual names for two bounds, otherwise their ranges
+const describeStockBands = (bounds) => {
+  const lowerBounds = [1, ...bounds.map(bound => bound + 1)];
+  const names = bounds.length === 2 ? ['Low Stock', 'Medium Stock', 'High Stock'] : null;
+
+  return [
+    { level: 'Out of Stock', min: 0, max: 0 },
+    ...lowerBounds.map((min, index) => {
+      const max = index < bounds.length ? bounds[index] : null;
+      const range = max === null ? `${min}+` : min === max ? `${min}` : `${min}-${max}`;
+      return { level: names ? names[index] : `Stock ${range}`, min, max };
+    }),
+  ];
+};
+
+// Adds the product's category as { _id, name }, null when it has none
+const lookupCategory = [
+  {
+    $lookup: {
+      from: Category.collection.name,
+      localField: 'category',
+      foreignField: '_id',
+      as: 'category',
+    },
+  },
+  {
+    $set: {
+      category: {
+        $ifNull: [
+          { $arrayElemAt: [{ $map: { input: '$category', as: 'c', in: { _id: '$$c._id', name: '$$c.name' } } }, 0] },
+          null,
+        ],
+      },
+    },
+  },
+];
+
+/**
+ * Products grouped into stock bands by their own stock, with stock statistics
+ * over products and variants. Every band is returned, empty ones included.
+ */
+const aggregateStockLevels = async ({ match = {}, bounds = DEFAULT_STOCK_BANDS } = {}) => {
+  const bands = describeStockBands(bounds);
+  const lastBound = bands[bands.length - 1].min;
+
+  const [result] = await Product.aggregate([
+    { $match: match },
+    { $set: { stock: { $max: [{ $ifNull: ['$stock', 0] }, 0] } } },
+    {
+      $facet: {
+        levels: [
+          { $sort: { stock: 1, name: 1 } },
+          {
+            $bucket: {
+              groupBy: '$stock',
+              // Lower bounds are inclusive; everything from the last one up lands in the default
+              boundaries: bands.slice(0, -1).map(band => band.min).concat(lastBound),
+              default: lastBound,
+              output: {
+                count: { $sum: 1 },
+                products: { $push: { id: '$_id', name: '$name', stock: '$stock' } },
+              },
+            },
+          },
+        ],
+        products: [
+          {
+            $group: {
+              _id: null,
+              totalProducts: { $sum: 1 },
+              totalStock: { $sum: '$stock' },
+              maxStock: { $max: '$stock' },
+              minStock: { $min: '$stock' },
+            },
+          },
+        ],
+        variants: [
+          { $unwind: '$variants' },
+          {
+            $group: {
+              _id: null,
+              totalStock: { $sum: '$variants.stock' },
+              maxStock: { $max: '$variants.stock' },
+              minStock: { $min: '$variants.stock' },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const levelsByMin = new Map(result.levels.map(level => [level._id, level]));
+  const products = result.products[0] || { totalProducts: 0, totalStock: 0 };
+  const variants = result.variants[0] || { totalStock: 0 };
+  const extremes = [products, variants].filter(group => group.maxStock !== undefined && group.maxStock !== null);
+
+  const totalStockItems = products.totalStock + variants.totalStock;
+
+  return {
+    stockLevels: bands.map(band => {
+      const level = levelsByMin.get(band.min);
+      return {
+        ...band,
+        count: level ? level.count : 0,
+        products: level ? level.products : [],
+      };
+    }),
+    stats: {
+      totalProducts: products.totalProducts,
+      totalStockItems,
+      avgStockPerProduct: parseFloat((totalStockItems / (products.totalProducts || 1)).toFixed(2)),
+      maxStock: extremes.length > 0 ? Math.max(...extremes.map(group => group.maxStock)) : 0,
+      minStock: extremes.length > 0 ? Math.min(...extremes.map(group => group.minStock)) : 0,
+    },
+  };
+};
+
+/**
+ * Products with stock at or below a threshold, or their own reorder point
+ * (`fallback` when unset) without one, on the product or any variant. Items
+ * with no stock and discontinued items are left out. Products whose own
+ * stock is low come first, then by their lowest stock.
+ */
+const aggregateLowStock = async ({ match = {}, threshold, fallback }) => {
+  const stockRange = threshold !== undefined ? { $lte: threshold, $gt: 0 } : { $gt: 0 };
+  const pointOf = path => (threshold !== undefined ? threshold : { $ifNull: [`${path}.reorderPoint`, fallback] });
+  const isLow = path => ({
+    $and: [
+      { $gt: [`${path}.stock`, 0] },
+      { $lte: [`${path}.stock`, pointOf(path)] },
+      { $ne: [`${path}.status`, 'discontinued'] },
+    ],
+  });
+
+  return Product.aggregate([
+    {
+      $match: {
+        ...match,
+        status: { $ne: 'discontinued' },
+        $or: [
+          { stock: stockRange },
+          { variants: { $elemMatch: { stock: stockRange, status: { $ne: 'discontinued' } } } },
+        ],
+      },
+    },
+    {
+      $project: {
+        name: 1,
+        category: 1,
+        price: 1,
+        image: 1,
+        mainStock: {
+          quantity: '$stock',
+          reorderPoint: pointOf('$$ROOT'),
+          isLow: isLow('$$ROOT'),
+        },
+        lowVariants: {
+          $map: {
+            input: {
+              $filter: { input: { $ifNull: ['$variants', []] }, as: 'variant', cond: isLow('$$variant') },
+            },
+            as: 'variant',
+            in: {
+              size: '$$variant.size',
+              color: '$$variant.color',
+              stock: '$$variant.stock',
+              reorderPoint: pointOf('$$variant'),
+            },
+          },
+        },
+      },
+    },
+    { $match: { $or: [{ 'mainStock.isLow': true }, { 'lowVariants.0': { $exists: true } }] } },
+    {
+      $set: {
+        sortStock: { $cond: ['$mainStock.isLow', '$mainStock.quantity', { $min: '$lowVariants.stock' }] },
+      },
+    },
+    { $sort: { 'mainStock.isLow': -1, sortStock: 1, _id: 1 } },
+    { $unset: 'sortStock' },
+    ...lookupCategory,
+  ]);
+};
+
+/**
+ * Products and variants in stock, bucketed by days since their stock last
+ * changed, with the units and value (price * stock) in each bucket. Items in
+ * the oldest bucket are dead stock; the `limit` most valuable are listed per
+ * category. Stock set before changes were tracked dates from the product's
+ * creation.
+ */
+const aggregateStockAging = async ({ match = {}, bounds = DEFAULT_AGING_BUCKETS, limit = DEFAULT_DEAD_STOCK_LIMIT } = {}) => {
+  const now = new Date();
+  const deadAfter = bounds[bounds.length - 1];
+  const buckets = [0, ...bounds].map((minDays, index) => {
+    const maxDays = index < bounds.length ? bounds[index] - 1 : null;
+    return { bucket: maxDays === null ? `${minDays}+ days` : `${minDays}-${maxDays} days`, minDays, maxDays };
+  });
+
+  const productChange = { $ifNull: ['$lastStockChangeAt', '$createdAt'] };
+  const toItem = (item, variant) => ({
+    productId: '$_id',
+    name: '$name',
+    sku: '$sku',
+    category: '$category',
+    variantId: variant ? `${item}._id` : null,
+    size: variant ? `${item}.size` : null,
+    color: variant ? `${item}.color` : null,
+    status: `${item}.status`,
+    stock: `${item}.stock`,
+    price: '$price',
+    lastStockChangeAt: variant ? { $ifNull: [`${item}.lastStockChangeAt`, productChange] } : productChange,
+  });
+
+  const [result] = await Product.aggregate([
+    { $match: match },
+    {
+      $project: {
+        items: {
+          $concatArrays: [
+            { $cond: [{ $gt: ['$stock', 0] }, [toItem('$$ROOT', false)], []] },
+            {
+              $map: {
+                input: {
+                  $filter: { input: { $ifNull: ['$variants', []] }, as: 'variant', cond: { $gt: ['$$variant.stock', 0] } },
+                },
+                as: 'variant',
+                in: toItem('$$variant', true),
+              },
+            },
+          ],
+        },
+      },
+    },
+    { $unwind: '$items' },
+    { $replaceRoot: { newRoot: '$items' } },
+    {
+      $set: {
+        value: { $multiply: [{ $ifNull: ['$price', 0] }, '$stock'] },
+        ageDays: { $floor: { $divide: [{ $subtract: [now, '$lastStockChangeAt'] }, DAY_MS] } },
+      },
+    },
+    {
+      $facet: {
+        buckets: [
+          {
+            $bucket: {
+              groupBy: '$ageDays',
+              boundaries: [0, ...bounds],
+              // Undated items count as the oldest
+              default: deadAfter,
+              output: {
+                count: { $sum: 1 },
+                units: { $sum: '$stock' },
+                value: { $sum: '$value' },
+              },
+            },
+          },
+        ],
+        deadStock: [
+          { $match: { $or: [{ ageDays: { $gte: deadAfter } }, { ageDays: null }] } },
+          { $sort: { value: -1, ageDays: -1 } },
+          {
+            $group: {
+              _id: '$category',
+              items: { $push: '$$ROOT' },
+              itemCount: { $sum: 1 },
+              units: { $sum: '$stock' },
+              value: { $sum: '$value' },
+            },
+          },
+          { $set: { items: { $slice: ['$items', limit] } } },
+          { $unset: 'items.category' },
+          { $lookup: { from: Category.collection.name, localField: '_id', foreignField: '_id', as: 'category' } },
+          {
+            $project: {
+              _id: 0,
+              categoryId: { $ifNull: [{ $arrayElemAt: ['$category._id', 0] }, null] },
+              category: { $ifNull: [{ $arrayElemAt: ['$category.name', 0] }, 'Uncategorized'] },
+              items: 1,
+              itemCount: 1,
+              units: 1,
+              value: 1,
+            },
+          },
+          { $sort: { value: -1, category: 1 } },
+        ],
+      },
+    },
+  ]);
+
+  const bucketsByMin = new Map(result.buckets.map(bucket => [bucket._id, bucket]));
+
+  return {
+    buckets: buckets.map(bucket => {
+      const found = bucketsByMin.get(bucket.minDays);
+      return {
+        ...bucket,
+        count: found ? found.count : 0,
+        units: found ? found.units : 0,
+        value: roundMoney(found && found.value),
+      };
+    }),
+    deadAfterDays: deadAfter,
+    deadStock: result.deadStock.map(group => ({
+      ...group,
+      value: roundMoney(group.value),
+      items: group.items.map(item => ({ ...item, value: roundMoney(item.value) })),
+    })),
+  };
+};
+
+module.exports = {
+  DEFAULT_STOCK_BANDS,
+  DEFAULT_AGING_BUCKETS,
+  buildReportMatch,
+  parseStockBands,
+  parseAgingBuckets,
+  aggregateStockLevels,
+  aggregateLowStock,
+  aggregateStockAging,
+};
@@ -0,0 +1,38 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A date without a time, e.g. 2026-03-31
+const PLAIN_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// An error carrying the HTTP status the controller should answer with
+const httpError = (message, status) => Object.assign(new Error(message), { status });
+
+// Reads a date parameter, naming it in the 400 when it isn't a date
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw httpError(`${name} must be a valid date`, 400);
+  }
+  return date;
+};
+
+/**
+ * Reads the `from`/`to` parameters of a date range. A plain date as `to`
+ * covers that whole day. With `defaultDays`, a missing `to` is now and a
+ * missing `from` is that many days before `to`; otherwise missing ends are
+ * null, leaving the range open.
+ */
+const parseDateRange = ({ from, to } = {}, { defaultDays } = {}) => {
+  let toDate = to ? parseDate(to, 'to') : null;
+  if (toDate && PLAIN_DATE.test(to)) toDate.setUTCHours(23, 59, 59, 999);
+  if (!toDate && defaultDays) toDate = new Date();
+
+  let fromDate = from ? parseDate(from, 'from') : null;
+  if (!fromDate && defaultDays) fromDate = new Date(toDate.getTime() - defaultDays * DAY_MS);
+
+  if (fromDate && toDate && fromDate > toDate) {
+    throw httpError('from must be before to', 400);
+  }
+  return { from: fromDate, to: toDate };
+};
+
+module.exports = { httpError, parseDate, parseDateRange };
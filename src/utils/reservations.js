@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const Product = require('../models/product');
+const Reservation = require('../models/Reservation');
+const { ledgerError, applyStockDelta, recordMovement } = require('./stockLedger');
+
+const defaultTtlSeconds = () => Number(process.env.RESERVATION_TTL_SECONDS) || 15 * 60;
+const MAX_TTL_SECONDS = 24 * 60 * 60;
+
+// Limits for customers, so holds can't make stock unsellable; admins aren't limited
+const maxCustomerQuantity = () => Number(process.env.RESERVATION_MAX_QUANTITY) || 10;
+const maxCustomerReservations = () => Number(process.env.RESERVATION_MAX_ACTIVE) || 5;
+
+// Holds `quantity` units of a product or variant until the reservation expires
+const holdStock = async ({ productId, variantId = null, quantity, ttlSeconds, user, reference }) => {
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    throw ledgerError('Invalid product ID format', 400);
+  }
+  if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+    throw ledgerError('Invalid variant ID format', 400);
+  }
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw ledgerError('Quantity must be a positive integer', 400);
+  }
+
+  let ttl = ttlSeconds === undefined ? defaultTtlSeconds() : Number(ttlSeconds);
+  if (!Number.isFinite(ttl) || ttl <= 0 || ttl > MAX_TTL_SECONDS) {
+    throw ledgerError(`ttlSeconds must be between 1 and ${MAX_TTL_SECONDS}`, 400);
+  }
+
+  if (!user || user.role !== 'admin') {
+    // Customers hold stock for the default time at most
+    ttl = Math.min(ttl, defaultTtlSeconds());
+    if (quantity > maxCustomerQuantity()) {
+      throw ledgerError(`At most ${maxCustomerQuantity()} units can be reserved at once`, 400);
+    }
+    const open = user
+      ? await Reservation.countDocuments({ user: user._id, status: 'active', expiresAt: { $gt: Date.now() } })
+      : 0;
+    if (open >= maxCustomerReservations()) {
+      throw ledgerError(`At most ${maxCustomerReservations()} reservations can be open at once`, 409);
+    }
+  }
+
+  const product = await applyStockDelta({ productId, variantId, reserved: quantity });
+
+  if (!product) {
+    const existing = await Product.findById(productId).select('variants');
+    if (!existing) throw ledgerError('Product not found', 404);
+    if (variantId && !existing.variants.id(variantId)) throw ledgerError('Variant not found', 404);
+    throw ledgerError('Not enough stock available to reserve', 409);
+  }
+
+  try {
+    return await Reservation.create({
+      product: productId,
+      variant: variantId,
+      quantity,
+      user: user ? user._id : null,
+      reference,
+      expiresAt: new Date(Date.now() + ttl * 1000),
+    });
+  } catch (error) {
+    await applyStockDelta({ productId, variantId, reserved: -quantity });
+    throw error;
+  }
+};
+
+// Ends an active reservation and gives its units back to available stock
+const releaseReservation = async (reservationId, status = 'released') => {
+  // Only one caller can move a reservation out of "active"
+  const reservation = await Reservation.findOneAndUpdate(
+    { _id: reservationId, status: 'active' },
+    { status, releasedAt: Date.now() },
+    { new: true }
+  );
+
+  if (!reservation) return null;
+
+  await applyStockDelta({
+    productId: reservation.product,
+    variantId: reservation.variant,
+    reserved: -reservation.quantity,
+  });
+
+  return reservation;
+};
+
+// Turns a reservation into a permanent stock decrement recorded as a sale
+const confirmReservation = async (reservationId, { actor, reference } = {}) => {
+  const reservation = await Reservation.findOneAndUpdate(
+    { _id: reservationId, status: 'active', expiresAt: { $gt: Date.now() } },
+    { status: 'confirmed', confirmedAt: Date.now() },
+    { new: true }
+  );
+
+  if (!reservation) {
+    throw ledgerError('Reservation is not active or has expired', 409);
+  }
+
+  try {
+    const { movement } = await recordMovement({
+      productId: reservation.product,
+      variantId: reservation.variant,
+      quantity: -reservation.quantity,
+      reason: 'sale',
+      reference: reference || reservation.reference || `reservation:${reservation._id}`,
+      actor,
+      releaseReserved: reservation.quantity,
+    });
+
+    return { reservation, movement };
+  } catch (error) {
+    await Reservation.updateOne({ _id: reservation._id }, { status: 'active', $unset: { confirmedAt: 1 } });
+    throw error;
+  }
+};
+
+// Releases every reservation whose hold has run out
+const releaseExpiredReservations = async () => {
+  const expired = await Reservation.find({ status: 'active', expiresAt: { $lte: Date.now() } })
+    .select('_id')
+    .limit(500);
+
+  let released = 0;
+  for (const { _id } of expired) {
+    if (await releaseReservation(_id, 'expired')) released++;
+  }
+  return released;
+};
+
+module.exports = {
+  holdStock,
+  releaseReservation,
+  confirmReservation,
+  releaseExpiredReservations,
+};
@@ -0,0 +1,35 @@
+// Minimal in-process scheduler for periodic maintenance jobs
+const jobs = new Map();
+
+const scheduleJob = (name, intervalMs, task) => {
+  if (jobs.has(name)) {
+    clearInterval(jobs.get(name));
+  }
+
+  let running = false;
+  const run = async () => {
+    // Skip a tick rather than overlap a slow previous run
+    if (running) return;
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      console.error(`Scheduled job "${name}" failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  // Don't keep the process alive just for maintenance jobs
+  timer.unref();
+  jobs.set(name, timer);
+  return timer;
+};
+
+const stopJobs = () => {
+  jobs.forEach(timer => clearInterval(timer));
+  jobs.clear();
+};
+
+module.exports = { scheduleJob, stopJobs };
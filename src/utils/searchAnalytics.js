@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const SearchLog = require('../models/SearchLog');
+const { SEARCH_TYPES } = require('../models/SearchLog');
+const { httpError, parseDateRange } = require('./requestParams');
+
+// Searches a query needs before its click-through rate is judged
+const DEFAULT_MIN_SEARCHES = 5;
+
+// Click-through rate at or below which a query is reported
+const DEFAULT_MAX_CLICK_THROUGH = 0.1;
+
+// Range of the reports when `from` is not given
+const DEFAULT_RANGE_DAYS = 30;
+
+// Result products kept per search to check clicks against
+const MAX_RESULTS = 100;
+
+// How long after a search its log may still be on its way, going by the
+// time in the search ID, so a quick click is told to retry rather than 404
+const PENDING_LOG_MS = 60 * 1000;
+
+const normalizeQuery = value => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Query parameters that narrow a search, empty ones left out
+const pickFilters = (query, names) => {
+  const filters = {};
+  names.forEach(name => {
+    if (query[name] !== undefined && query[name] !== '') filters[name] = query[name];
+  });
+  return Object.keys(filters).length > 0 ? filters : undefined;
+};
+
+// Starts timing a search; the id is returned to the client for click tracking
+const startSearchLog = () => ({
+  id: new mongoose.Types.ObjectId(),
+  startedAt: process.hrtime.bigint(),
+});
+
+/**
+ * Records a finished search. Never throws and isn't awaited by the
+ * endpoints, so analytics can't slow down or break a search.
+ */
+const logSearch = (log, { type, query, filters, resultCount, results = [], redirected = false }) => {
+  const latencyMs = Number(process.hrtime.bigint() - log.startedAt) / 1e6;
+  return SearchLog.create({
+    _id: log.id,
+    type,
+    query: normalizeQuery(query),
+    filters,
+    resultCount,
+    redirected,
+    results: [...new Set(results.map(String))].slice(0, MAX_RESULTS),
+    latencyMs: parseFloat(latencyMs.toFixed(2)),
+  }).catch(error => console.error('Search log failed:', error.message));
+};
+
+/**
+ * Records a click on a search result, once per search and product. Returns
+ * whether the click was counted, `pending` when the search is too recent for
+ * its log to be written yet, or null when the search isn't logged.
+ */
+const recordSearchClick = async ({ searchId, productId, position }) => {
+  if (!mongoose.Types.ObjectId.isValid(searchId)) {
+    throw httpError('Invalid search ID format', 400);
+  }
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    throw httpError('Invalid product ID format', 400);
+  }
+  const positionNum = position === undefined ? undefined : Number(position);
+  if (positionNum !== undefined && (!Number.isInteger(positionNum) || positionNum < 1)) {
+    throw httpError('Position must be a positive whole number', 400);
+  }
+
+  const log = await SearchLog.findOneAndUpdate(
+    { _id: searchId, results: productId, 'clicks.product': { $ne: productId } },
+    {
+      $inc: { clickCount: 1 },
+      $push: { clicks: { product: productId, position: positionNum } },
+    },
+    { new: true }
+  );
+  if (log) return { log, counted: true };
+
+  // Not updated: no such search, a product it didn't return, or a repeat click
+  const existing = await SearchLog.findById(searchId).select('results clicks.product');
+  if (!existing) {
+    const age = Date.now() - new mongoose.Types.ObjectId(searchId).getTimestamp().getTime();
+    return age >= 0 && age <= PENDING_LOG_MS ? { log: null, counted: false, pending: true } : null;
+  }
+  if (!existing.results.some(id => id.equals(productId))) {
+    throw httpError('Product was not among the results of this search', 400);
+  }
+  return { log: existing, counted: false };
+};
+
+// Reads the shared report parameters: from, to, type and limit
+const parseReportOptions = ({ from, to, type, limit } = {}) => {
+  const { from: fromDate, to: toDate } = parseDateRange({ from, to }, { defaultDays: DEFAULT_RANGE_DAYS });
+  if (type && !SEARCH_TYPES.includes(type)) {
+    throw httpError(`Type must be one of: ${SEARCH_TYPES.join(', ')}`, 400);
+  }
+
+  return {
+    from: fromDate,
+    to: toDate,
+    type: type || null,
+    limit: Math.min(Math.max(Number(limit) || 20, 1), 100),
+  };
+};
+
+// Searches in the range that had a query, the variant search has none
+const matchRange = ({ from, to, type }) => {
+  const match = { createdAt: { $gte: from, $lte: to }, query: { $ne: '' } };
+  if (type) match.type = type;
+  return match;
+};
+
+// Per-query totals: searches, searches without results, searches with a click
+const groupByQuery = {
+  $group: {
+    _id: '$query',
+    searches: { $sum: 1 },
+    zeroResultSearches: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } },
+    clickedSearches: { $sum: { $cond: [{ $gt: ['$clickCount', 0] }, 1, 0] } },
+    clicks: { $sum: '$clickCount' },
+    avgResults: { $avg: '$resultCount' },
+    avgLatencyMs: { $avg: '$latencyMs' },
+    lastSearchedAt: { $max: '$createdAt' },
+  },
+};
+
+const formatQueryStats = {
+  $project: {
+    _id: 0,
+    query: '$_id',
+    searches: 1,
+    zeroResultSearches: 1,
+    clickedSearches: 1,
+    clicks: 1,
+    clickThroughRate: { $round: [{ $divide: ['$clickedSearches', '$searches'] }, 4] },
+    avgResults: { $round: ['$avgResults', 2] },
+    avgLatencyMs: { $round: ['$avgLatencyMs', 2] },
+    lastSearchedAt: 1,
+  },
+};
+
+// Most searched queries
+const getTopQueries = async (options) => {
+  const queries = await SearchLog.aggregate([
+    { $match: matchRange(options) },
+    groupByQuery,
+    { $sort: { searches: -1, _id: 1 } },
+    { $limit: options.limit },
+    formatQueryStats,
+  ]);
+  const totalSearches = await SearchLog.countDocuments(matchRange(options));
+  return { queries, totalSearches };
+};
+
+// Queries that returned nothing, most searched first
+const getZeroResultQueries = async (options) => {
+  const queries = await SearchLog.aggregate([
+    // Redirected searches show no results by design
+    { $match: { ...matchRange(options), resultCount: 0, redirected: { $ne: true } } },
+    groupByQuery,
+    { $sort: { searches: -1, _id: 1 } },
+    { $limit: options.limit },
+    formatQueryStats,
+  ]);
+  return { queries };
+};
+
+/**
+ * Queries with results that customers rarely click: searched at least
+ * `minSearches` times with a click-through rate (searches with a click out
+ * of searches with results) at or below `maxClickThrough`. Lowest rate first.
+ */
+const getLowClickThroughQueries = async (options, { minSearches, maxClickThrough } = {}) => {
+  const min = Math.max(Number(minSearches) || DEFAULT_MIN_SEARCHES, 1);
+  const max = maxClickThrough !== undefined && !Number.isNaN(Number(maxClickThrough))
+    ? Number(maxClickThrough)
+    : DEFAULT_MAX_CLICK_THROUGH;
+
+  const queries = await SearchLog.aggregate([
+    { $match: { ...matchRange(options), resultCount: { $gt: 0 } } },
+    groupByQuery,
+    { $match: { searches: { $gte: min } } },
+    formatQueryStats,
+    { $match: { clickThroughRate: { $lte: max } } },
+    { $sort: { clickThroughRate: 1, searches: -1, query: 1 } },
+    { $limit: options.limit },
+  ]);
+  return { queries, minSearches: min, maxClickThrough: max };
+};
+
+module.exports = {
+  normalizeQuery,
+  startSearchLog,
+  logSearch,
+  pickFilters,
+  recordSearchClick,
+  parseReportOptions,
+  getTopQueries,
+  getZeroResultQueries,
+  getLowClickThroughQueries,
+};
@@ -0,0 +1,118 @@
+const Product = require('../models/product');
+const Category = require('../models/Category');
+const { combineFilters } = require('./productQuery');
+const { httpError } = require('./requestParams');
+
+const SEARCH_FACETS = ['category', 'size', 'color', 'price'];
+
+// Where each price bucket starts when no priceBuckets are given
+const DEFAULT_PRICE_BUCKETS = [0, 25, 50, 100, 250, 500];
+
+// Reads `facets=category,size`, null when none are asked for
+const parseFacets = (facets) => {
+  if (!facets) return null;
+  const names = [...new Set(String(facets).split(',').map(name => name.trim()).filter(Boolean))];
+  const unknown = names.filter(name => !SEARCH_FACETS.includes(name));
+  if (unknown.length > 0) {
+    throw httpError(`Facets must be among: ${SEARCH_FACETS.join(', ')}`, 400);
+  }
+  return names.length > 0 ? names : null;
+};
+
+// Reads `priceBuckets=0,50,100` into ascending bucket starts, always starting at 0
+const parsePriceBuckets = (priceBuckets) => {
+  if (priceBuckets === undefined || priceBuckets === '') return DEFAULT_PRICE_BUCKETS;
+
+  const bounds = String(priceBuckets).split(',').map(bound => Number(bound.trim()));
+  const valid = bounds.every((bound, index) => (
+    Number.isFinite(bound) && bound >= 0 && (index === 0 || bound > bounds[index - 1])
+  ));
+  if (!valid) {
+    throw httpError('priceBuckets must be ascending non-negative numbers, e.g. priceBuckets=0,25,50,100', 400);
+  }
+  const buckets = bounds[0] === 0 ? bounds : [0, ...bounds];
+  if (buckets.length < 2) {
+    throw httpError('priceBuckets needs at least one bound above 0', 400);
+  }
+  return buckets;
+};
+
+// Counts products per distinct value of a variant attribute
+const variantValueCounts = path => [
+  { $project: { value: { $setUnion: [{ $ifNull: [`$variants.${path}`, []] }, []] } } },
+  { $unwind: '$value' },
+  { $match: { value: { $nin: [null, ''] } } },
+  { $group: { _id: '$value', count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $project: { _id: 0, value: '$_id', count: 1 } },
+];
+
+const facetPipelines = (priceBounds) => ({
+  category: [
+    { $group: { _id: '$category', count: { $sum: 1 } } },
+    { $lookup: { from: Category.collection.name, localField: '_id', foreignField: '_id', as: 'category' } },
+    {
+      $project: {
+        _id: 0,
+        value: { $ifNull: [{ $arrayElemAt: ['$category._id', 0] }, null] },
+        name: { $ifNull: [{ $arrayElemAt: ['$category.name', 0] }, 'Uncategorized'] },
+        count: 1,
+      },
+    },
+    // Products whose category was deleted join the uncategorized ones
+    { $group: { _id: '$value', name: { $first: '$name' }, count: { $sum: '$count' } } },
+    { $sort: { count: -1, name: 1 } },
+    { $project: { _id: 0, value: '$_id', name: 1, count: 1 } },
+  ],
+  size: variantValueCounts('size'),
+  color: variantValueCounts('color'),
+  price: [
+    {
+      $bucket: {
+        groupBy: { $ifNull: ['$price', 0] },
+        boundaries: priceBounds,
+        // Everything from the last bound up
+        default: priceBounds[priceBounds.length - 1],
+        output: { count: { $sum: 1 } },
+      },
+    },
+  ],
+});
+
+/**
+ * Counts the products matching the search for each value of the requested
+ * facets. A facet's own selection is left out of its counts, so values
+ * combine with OR within a facet and AND across facets.
+ */
+const aggregateFacets = async (filters, facets, { priceBounds = DEFAULT_PRICE_BUCKETS } = {}) => {
+  const pipelines = facetPipelines(priceBounds);
+  const facetStages = {};
+  facets.forEach(facet => {
+    const { $text, ...match } = combineFilters(filters, facet);
+    facetStages[facet] = [{ $match: match }, ...pipelines[facet]];
+  });
+
+  // A text search must be the first stage, outside $facet
+  const [result] = await Product.aggregate([
+    { $match: filters.base.$text ? { $text: filters.base.$text } : {} },
+    { $facet: facetStages },
+  ]);
+
+  if (result.price) {
+    const countsByMin = new Map(result.price.map(bucket => [bucket._id, bucket.count]));
+    result.price = priceBounds.map((min, index) => ({
+      min,
+      max: index < priceBounds.length - 1 ? priceBounds[index + 1] : null,
+      count: countsByMin.get(min) || 0,
+    }));
+  }
+  return result;
+};
+
+module.exports = {
+  SEARCH_FACETS,
+  DEFAULT_PRICE_BUCKETS,
+  parseFacets,
+  parsePriceBuckets,
+  aggregateFacets,
+};
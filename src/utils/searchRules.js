@@ -0,0 +1,128 @@
+const Synonym = require('../models/Synonym');
+const SearchRedirect = require('../models/SearchRedirect');
+const { normalizeQuery } = require('./searchAnalytics');
+
+// Rules are reloaded after this long, and right away when an admin changes them
+const cacheMs = () => Number(process.env.SEARCH_RULES_CACHE_MS) || 60 * 1000;
+
+// Synonyms added to a suggestion lookup, each one is a separate lookup
+const MAX_SUGGESTION_ALTERNATIVES = 3;
+
+let cache = null;
+
+const keyOf = value => normalizeQuery(value).replace(/[^\p{L}\p{N}\s]/gu, '');
+
+const addExpansion = (expansions, term, alternatives) => {
+  const key = keyOf(term);
+  if (!key) return;
+  if (!expansions.has(key)) expansions.set(key, new Map());
+  alternatives.forEach(alternative => {
+    const alternativeKey = keyOf(alternative);
+    if (alternativeKey && alternativeKey !== key) {
+      expansions.get(key).set(alternativeKey, alternative);
+    }
+  });
+};
+
+const loadRules = async () => {
+  const [synonyms, redirects] = await Promise.all([
+    Synonym.find({ isActive: true }).lean(),
+    SearchRedirect.find({ isActive: true }).lean(),
+  ]);
+
+  // Term (normalized) => its alternatives, as the admin wrote them
+  const expansions = new Map();
+  synonyms.forEach(rule => {
+    rule.terms.forEach(term => {
+      addExpansion(expansions, term, rule.type === 'one-way' ? rule.synonyms : rule.terms);
+    });
+  });
+
+  return {
+    expansions,
+    // Longest multi-word term, how far keyword matching has to look ahead
+    maxTermWords: Math.max(1, ...[...expansions.keys()].map(key => key.split(' ').length)),
+    redirects: new Map(redirects.map(redirect => [normalizeQuery(redirect.query), redirect])),
+  };
+};
+
+// The active synonym and redirect rules, from memory when they are fresh
+const getSearchRules = async () => {
+  if (cache && cache.expiresAt > Date.now()) return cache.rules;
+  const rules = await loadRules();
+  cache = { rules, expiresAt: Date.now() + cacheMs() };
+  return rules;
+};
+
+// Drops the cached rules, for when an admin changed them
+const invalidateSearchRules = () => {
+  cache = null;
+};
+
+// The redirect for a whole query, or null
+const findRedirect = (rules, query) => {
+  const redirect = rules.redirects.get(normalizeQuery(query));
+  return redirect ? { query: redirect.query, url: redirect.url } : null;
+};
+
+// A whole value (a color, a size, a suggestion term) and its synonyms
+const expandValue = (rules, value) => {
+  const alternatives = rules.expansions.get(keyOf(value));
+  return [value, ...(alternatives ? alternatives.values() : [])];
+};
+
+// Each value of a comma-separated filter with its synonyms, still comma-separated
+const expandList = (rules, value) => {
+  if (value === undefined || value === '') return value;
+  const values = String(value).split(',').map(v => v.trim()).filter(Boolean);
+  return [...new Set(values.flatMap(v => expandValue(rules, v)))].join(',');
+};
+
+/**
+ * Adds the synonyms of the words and phrases of a keyword to it, longest
+ * match first. Text search matches any of its words, so the synonyms widen
+ * the search. Quoted phrases and -excluded words are left as they are.
+ */
+const expandKeyword = (rules, keyword) => {
+  if (!keyword || rules.expansions.size === 0) return keyword;
+
+  const words = [];
+  const tokens = /(-?)"([^"]*)"|(-?)(\S+)/g;
+  let match;
+  while ((match = tokens.exec(String(keyword))) !== null) {
+    if (match[4] !== undefined && match[3] !== '-') words.push(keyOf(match[4]));
+  }
+
+  const added = new Map();
+  let index = 0;
+  while (index < words.length) {
+    let matched = 0;
+    for (let size = Math.min(rules.maxTermWords, words.length - index); size > 0; size--) {
+      const alternatives = rules.expansions.get(words.slice(index, index + size).join(' '));
+      if (alternatives) {
+        alternatives.forEach((alternative, key) => added.set(key, alternative));
+        matched = size;
+        break;
+      }
+    }
+    index += matched || 1;
+  }
+
+  words.forEach(word => added.delete(word));
+  return added.size > 0 ? `${keyword} ${[...added.values()].join(' ')}` : keyword;
+};
+
+// Synonyms of a whole suggestion term, to look up next to the term itself
+const suggestionAlternatives = (rules, term) => (
+  expandValue(rules, term).slice(1, MAX_SUGGESTION_ALTERNATIVES + 1)
+);
+
+module.exports = {
+  getSearchRules,
+  invalidateSearchRules,
+  findRedirect,
+  expandValue,
+  expandList,
+  expandKeyword,
+  suggestionAlternatives,
+};
@@ -0,0 +1,539 @@
+const mongoose = require('mongoose');
+const Product = require('../models/product');
+const { deriveStatus, matchStatus, getLocationQuantity } = require('../models/product');
+const Location = require('../models/Location');
+const StockMovement = require('../models/StockMovement');
+const { MOVEMENT_REASONS } = require('../models/StockMovement');
+const { reorderPointFor } = require('./replenishment');
+const { emitEvent } = require('./webhooks');
+const { httpError } = require('./requestParams');
+
+// Errors carry an HTTP status so controllers can pass them straight through
+const ledgerError = httpError;
+
+// Find the variant a request refers to, by _id or by size/color
+const findVariant = (product, { variantId, _id, size, color } = {}) => {
+  const id = variantId || _id;
+  if (id) {
+    return product.variants.id(id);
+  }
+  return product.variants.find(v => v.size === size && v.color === color);
+};
+
+const variantLabel = (variant) => [variant.size, variant.color].filter(Boolean).join(' / ');
+
+const validateMovement = ({ productId, variantId, quantity, reason }) => {
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    throw ledgerError('Invalid product ID format', 400);
+  }
+  if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+    throw ledgerError('Invalid variant ID format', 400);
+  }
+  if (reason === 'transfer') {
+    throw ledgerError('Use the transfer endpoint to move stock between locations', 400);
+  }
+  if (!Object.prototype.hasOwnProperty.call(MOVEMENT_REASONS, reason)) {
+    throw ledgerError(`Reason must be one of: ${Object.keys(MOVEMENT_REASONS).join(', ')}`, 400);
+  }
+  if (!Number.isInteger(quantity) || quantity === 0) {
+    throw ledgerError('Quantity must be a non-zero integer', 400);
+  }
+
+  const expectedSign = MOVEMENT_REASONS[reason];
+  if (expectedSign && Math.sign(quantity) !== expectedSign) {
+    throw ledgerError(`A ${reason} must have a ${expectedSign > 0 ? 'positive' : 'negative'} quantity`, 400);
+  }
+};
+
+// Resolves the location a movement applies to: the one given, else the default one
+const resolveLocation = async (location) => {
+  if (location) {
+    if (!mongoose.Types.ObjectId.isValid(location)) {
+      throw ledgerError('Invalid location ID format', 400);
+    }
+    const found = await Location.findOne({ _id: location, isActive: true }).select('_id');
+    if (!found) {
+      throw ledgerError('Location not found', 404);
+    }
+    return found._id;
+  }
+
+  const defaultLocation = await Location.findOne({ isDefault: true, isActive: true }).select('_id');
+  return defaultLocation ? defaultLocation._id : null;
+};
+
+// Reads the current state of a product or one of its variants
+const readStockItem = async (productId, variantId) => {
+  const product = await Product.findById(productId).select('stock reserved locations variants').lean();
+  if (!product) return null;
+  if (!variantId) return product;
+  return product.variants.find(v => v._id.equals(variantId)) || null;
+};
+
+// How many times a compare-and-set update is retried when another write got there first
+const MAX_RETRIES = 5;
+
+/**
+ * Makes sure a product or variant has an entry for a location. The first
+ * location an item gets takes over its existing stock, so the total stays the
+ * sum of the locations.
+ */
+const ensureLocationEntry = async (productId, variantId, locationId) => {
+  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+    const item = await readStockItem(productId, variantId);
+    if (!item) return false;
+
+    const locations = item.locations || [];
+    if (locations.some(e => e.location.equals(locationId))) return true;
+
+    const currentStock = item.stock === undefined ? null : item.stock;
+    const entry = { location: locationId, quantity: locations.length === 0 ? item.stock || 0 : 0 };
+    const itemMatch = locations.length === 0
+      ? { stock: currentStock, $or: [{ locations: { $size: 0 } }, { locations: { $exists: false } }] }
+      : { 'locations.location': { $ne: locationId } };
+
+    if (variantId) {
+      await Product.updateOne(
+        { _id: productId, variants: { $elemMatch: { _id: variantId, ...itemMatch } } },
+        { $push: { 'variants.$.locations': entry } }
+      );
+    } else {
+      await Product.updateOne({ _id: productId, ...itemMatch }, { $push: { locations: entry } });
+    }
+  }
+  throw ledgerError('Stock is changing too quickly, please retry', 409);
+};
+
+/**
+ * Atomically changes on-hand stock and/or reserved units of a product or
+ * variant, and the quantity at a location when one is given. The change is
+ * refused when stock or the location's quantity would go negative, or when it
+ * lowers available-to-sell (stock - reserved) below zero.
+ * Returns the updated product, or null when the guard refused the change.
+ */
+const applyStockDelta = async ({ productId, variantId = null, stock = 0, reserved = 0, expectedStock, location = null }) => {
+  const reducesAvailable = stock - reserved < 0;
+  const touchesLocation = location && stock !== 0;
+  const locationGuard = touchesLocation && stock < 0
+    ? { locations: { $elemMatch: { location, quantity: { $gte: -stock } } } }
+    : {};
+
+  if (!variantId) {
+    const newStock = { $add: ['$stock', stock] };
+    const newReserved = { $add: [{ $ifNull: ['$reserved', 0] }, reserved] };
+    const conditions = [{ $gte: [newStock, 0] }, { $gte: [newReserved, 0] }];
+    if (reducesAvailable) {
+      conditions.push({ $gte: [{ $subtract: [newStock, newReserved] }, 0] });
+    }
+
+    const filter = { _id: productId, $expr: { $and: conditions }, ...locationGuard };
+    if (expectedStock !== undefined) filter.stock = expectedStock;
+
+    const update = { $inc: { stock, reserved } };
+    if (stock !== 0) update.$set = { lastStockChangeAt: new Date() };
+    const options = { new: true };
+    if (touchesLocation) {
+      update.$inc['locations.$[loc].quantity'] = stock;
+      options.arrayFilters = [{ 'loc.location': location }];
+    }
+
+    return Product.findOneAndUpdate(filter, update, options);
+  }
+
+  // Array elements can't be compared field-to-field in a query, so variants
+  // use compare-and-set on the values that were read
+  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+    const variant = await readStockItem(productId, variantId);
+    if (!variant) return null;
+
+    const currentStock = variant.stock || 0;
+    const currentReserved = variant.reserved || 0;
+
+    if (expectedStock !== undefined && currentStock !== expectedStock) return null;
+    if (currentStock + stock < 0 || currentReserved + reserved < 0) return null;
+    if (reducesAvailable && (currentStock + stock) - (currentReserved + reserved) < 0) return null;
+
+    const update = { $inc: { 'variants.$[v].stock': stock, 'variants.$[v].reserved': reserved } };
+    if (stock !== 0) update.$set = { 'variants.$[v].lastStockChangeAt': new Date() };
+    const arrayFilters = [{ 'v._id': variant._id }];
+    if (touchesLocation) {
+      update.$inc['variants.$[v].locations.$[loc].quantity'] = stock;
+      arrayFilters.push({ 'loc.location': location });
+    }
+
+    const updated = await Product.findOneAndUpdate(
+      {
+        _id: productId,
+        variants: {
+          $elemMatch: {
+            _id: variantId,
+            stock: variant.stock === undefined ? null : variant.stock,
+            reserved: variant.reserved === undefined ? null : variant.reserved,
+            ...locationGuard,
+          },
+        },
+      },
+      update,
+      { new: true, arrayFilters }
+    );
+    if (updated) return updated;
+
+    // Retry only when the values moved, not when the location guard refused
+    const latest = await readStockItem(productId, variantId);
+    if (latest && latest.stock === variant.stock && latest.reserved === variant.reserved) return null;
+  }
+
+  throw ledgerError('Stock is changing too quickly, please retry', 409);
+};
+
+// Works out why a guarded stock update matched nothing
+const explainFailedUpdate = async (productId, variantId, location) => {
+  const product = await Product.findById(productId).select('stock variants');
+  if (!product) {
+    return ledgerError('Product not found', 404);
+  }
+  if (variantId && !product.variants.id(variantId)) {
+    return ledgerError('Variant not found', 404);
+  }
+  if (location) {
+    return ledgerError('Insufficient stock at this location for this movement', 409);
+  }
+  return ledgerError('Insufficient stock for this movement', 409);
+};
+
+/**
+ * Moves a product or variant between active and out-of-stock after its stock
+ * changed. Guarded on the values that were read, so a newer change wins.
+ */
+const syncStockStatus = async (product, variantId) => {
+  const item = variantId ? product.variants.id(variantId) : product;
+  const status = deriveStatus(item.status, item.stock || 0);
+  if (status === item.status) return;
+
+  const result = variantId
+    ? await Product.updateOne(
+      { _id: product._id, variants: { $elemMatch: { _id: variantId, status: matchStatus(item.status), stock: item.stock } } },
+      { $set: { 'variants.$.status': status }, $unset: { 'variants.$.expectedAt': 1 } }
+    )
+    : await Product.updateOne(
+      { _id: product._id, status: matchStatus(item.status), stock: item.stock },
+      { $set: { status }, $unset: { expectedAt: 1 } }
+    );
+
+  if (result.modifiedCount > 0) {
+    item.status = status;
+    item.expectedAt = undefined;
+  }
+};
+
+// Counts sold units (less returns) towards the product's popularity
+const recordPopularity = async (productId, movement) => {
+  if (movement.reason !== 'sale' && movement.reason !== 'return') return;
+  await Product.updateOne({ _id: productId }, { $inc: { popularity: -movement.quantity } });
+};
+
+/**
+ * Notifies webhook subscribers of a stock change, and with stock.low when the
+ * change took an item with a reorder point down to or below it.
+ */
+const notifyStockChange = async (product, variant, movement) => {
+  const item = variant || product;
+  const data = {
+    productId: product._id,
+    name: product.name,
+    variantId: variant ? variant._id : null,
+    variantLabel: movement.variantLabel,
+    location: movement.location,
+    quantity: movement.quantity,
+    reason: movement.reason,
+    reference: movement.reference,
+    stock: item.stock,
+    reserved: item.reserved || 0,
+    available: item.available,
+    status: item.status,
+  };
+  await emitEvent('stock.changed', data);
+
+  const reorderPoint = reorderPointFor(item);
+  const stockBefore = item.stock - movement.quantity;
+  if (reorderPoint !== undefined && item.status !== 'discontinued' && item.stock <= reorderPoint && stockBefore > reorderPoint) {
+    await emitEvent('stock.low', { ...data, reorderPoint, reorderQuantity: item.reorderQuantity, safetyStock: item.safetyStock });
+  }
+};
+
+/**
+ * Applies a stock movement and records it in the ledger.
+ * The stock change is a single guarded update, so concurrent movements can't
+ * sell units that are out of stock or held by a reservation.
+ * Movements without a location use the default location when one exists.
+ * `expectedStock` turns it into a compare-and-set, `releaseReserved` consumes
+ * units held by a reservation in the same update.
+ */
+const recordMovement = async ({
+  productId,
+  variantId = null,
+  quantity,
+  reason,
+  reference,
+  note,
+  actor,
+  expectedStock,
+  releaseReserved = 0,
+  location,
+}) => {
+  validateMovement({ productId, variantId, quantity, reason });
+
+  let locationId = await resolveLocation(location);
+  if (locationId) {
+    await ensureLocationEntry(productId, variantId, locationId);
+  } else {
+    // No default location: book at the item's fullest location so the total
+    // stays the sum of its locations
+    const item = await readStockItem(productId, variantId);
+    if (item && item.locations && item.locations.length > 0) {
+      const fullest = item.locations.reduce((best, entry) => (entry.quantity > best.quantity ? entry : best));
+      locationId = fullest.location;
+    }
+  }
+
+  const product = await applyStockDelta({
+    productId,
+    variantId,
+    stock: quantity,
+    reserved: -releaseReserved,
+    expectedStock,
+    location: locationId,
+  });
+
+  if (!product) {
+    if (expectedStock !== undefined) {
+      throw ledgerError('Stock changed while updating, please retry', 409);
+    }
+    throw await explainFailedUpdate(productId, variantId, locationId);
+  }
+
+  const variant = variantId ? product.variants.id(variantId) : null;
+  const item = variant || product;
+
+  let movement;
+  try {
+    movement = await StockMovement.create({
+      product: product._id,
+      variant: variant ? variant._id : null,
+      variantLabel: variant ? variantLabel(variant) : undefined,
+      location: locationId,
+      quantity,
+      balanceAfter: item.stock,
+      locationBalanceAfter: locationId ? getLocationQuantity(item, locationId) : undefined,
+      reason,
+      reference,
+      note,
+      actor: actor ? actor._id : null,
+    });
+  } catch (error) {
+    // Keep stock and ledger in step if the movement could not be written
+    await applyStockDelta({ productId, variantId, stock: -quantity, reserved: releaseReserved, location: locationId });
+    throw error;
+  }
+
+  // The movement is recorded from here on. Follow-up steps are logged when
+  // they fail rather than failing the request, so clients don't retry a
+  // movement that was already made
+  const followUps = [
+    ['status sync', () => syncStockStatus(product, variantId)],
+    ['popularity', () => recordPopularity(product._id, movement)],
+    ['stock notification', () => notifyStockChange(product, variant, movement)],
+  ];
+  for (const [name, step] of followUps) {
+    try {
+      await step();
+    } catch (error) {
+      console.error(`Stock movement ${movement._id} ${name} failed:`, error);
+    }
+  }
+
+  return { movement, product };
+};
+
+/**
+ * Sets an absolute stock level by recording the difference as an adjustment.
+ * With a location, `stock` is the quantity at that location; without one it
+ * is the total and the difference is booked at the default location.
+ */
+const setStockLevel = async ({ productId, variantId = null, stock, location, reference, note, actor }) => {
+  if (!Number.isInteger(stock) || stock < 0) {
+    throw ledgerError('Stock must be a non-negative integer', 400);
+  }
+
+  const product = await Product.findById(productId).select('stock variants locations');
+  if (!product) {
+    throw ledgerError('Product not found', 404);
+  }
+
+  const variant = variantId ? product.variants.id(variantId) : null;
+  if (variantId && !variant) {
+    throw ledgerError('Variant not found', 404);
+  }
+
+  const item = variant || product;
+  const currentStock = location ? getLocationQuantity(item, location) : item.stock || 0;
+  if (currentStock === stock) {
+    return { movement: null, product };
+  }
+
+  return recordMovement({
+    productId,
+    variantId,
+    quantity: stock - currentStock,
+    reason: 'adjustment',
+    reference,
+    note,
+    actor,
+    location,
+    expectedStock: location ? undefined : item.stock,
+  });
+};
+
+// Sets the stock of a product or variant to zero, location by location when it has any
+const clearStock = async ({ productId, variantId = null, item, reference, actor }) => {
+  if (item.locations && item.locations.length > 0) {
+    for (const entry of item.locations) {
+      await setStockLevel({ productId, variantId, stock: 0, location: entry.location, reference, actor });
+    }
+  } else {
+    await setStockLevel({ productId, variantId, stock: 0, reference, actor });
+  }
+};
+
+// Moves stock of a product or variant from one location to another
+const transferStock = async ({ productId, variantId = null, from, to, quantity, reference, note, actor }) => {
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    throw ledgerError('Invalid product ID format', 400);
+  }
+  if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+    throw ledgerError('Invalid variant ID format', 400);
+  }
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw ledgerError('Quantity must be a positive integer', 400);
+  }
+  if (!from || !to || String(from) === String(to)) {
+    throw ledgerError('Provide two different locations to transfer between', 400);
+  }
+
+  const fromId = await resolveLocation(from);
+  const toId = await resolveLocation(to);
+
+  if (!(await ensureLocationEntry(productId, variantId, fromId))) {
+    throw await explainFailedUpdate(productId, variantId);
+  }
+  await ensureLocationEntry(productId, variantId, toId);
+
+  const arrayFilters = [{ 'from.location': fromId }, { 'to.location': toId }];
+  const fromGuard = { locations: { $elemMatch: { location: fromId, quantity: { $gte: quantity } } } };
+
+  let product;
+  if (variantId) {
+    product = await Product.findOneAndUpdate(
+      { _id: productId, variants: { $elemMatch: { _id: variantId, ...fromGuard } } },
+      {
+        $inc: {
+          'variants.$[v].locations.$[from].quantity': -quantity,
+          'variants.$[v].locations.$[to].quantity': quantity,
+        },
+      },
+      { new: true, arrayFilters: [{ 'v._id': new mongoose.Types.ObjectId(String(variantId)) }, ...arrayFilters] }
+    );
+  } else {
+    product = await Product.findOneAndUpdate(
+      { _id: productId, ...fromGuard },
+      { $inc: { 'locations.$[from].quantity': -quantity, 'locations.$[to].quantity': quantity } },
+      { new: true, arrayFilters }
+    );
+  }
+
+  if (!product) {
+    throw ledgerError('Insufficient stock at the source location', 409);
+  }
+
+  const variant = variantId ? product.variants.id(variantId) : null;
+  const item = variant || product;
+  const legs = [
+    { location: fromId, quantity: -quantity },
+    { location: toId, quantity },
+  ];
+
+  const movements = await StockMovement.insertMany(legs.map(leg => ({
+    product: product._id,
+    variant: variant ? variant._id : null,
+    variantLabel: variant ? variantLabel(variant) : undefined,
+    location: leg.location,
+    quantity: leg.quantity,
+    balanceAfter: item.stock,
+    locationBalanceAfter: getLocationQuantity(item, leg.location),
+    reason: 'transfer',
+    reference,
+    note,
+    actor: actor ? actor._id : null,
+  })));
+
+  return { movements, product };
+};
+
+// Puts the stock of a new product and its variants in the default location
+const placeInDefaultLocation = async (product) => {
+  const defaultLocation = await Location.findOne({ isDefault: true, isActive: true }).select('_id');
+  if (!defaultLocation) return;
+
+  [product, ...(product.variants || [])].forEach(item => {
+    if (!item.locations || item.locations.length === 0) {
+      item.locations = [{ location: defaultLocation._id, quantity: item.stock || 0 }];
+    }
+  });
+};
+
+// Records the stock a product was created with, without changing it
+const recordOpeningBalance = async (product, { reference, actor } = {}) => {
+  const entries = [];
+
+  if (product.stock > 0) {
+    entries.push({ variant: null, item: product });
+  }
+  (product.variants || []).forEach(variant => {
+    if (variant.stock > 0) {
+      entries.push({ variant, item: variant });
+    }
+  });
+
+  if (entries.length === 0) return [];
+
+  return StockMovement.insertMany(entries.map(({ variant, item }) => {
+    const locationEntry = item.locations && item.locations[0];
+    return {
+      product: product._id,
+      variant: variant ? variant._id : null,
+      variantLabel: variant ? variantLabel(variant) : undefined,
+      location: locationEntry ? locationEntry.location : null,
+      quantity: item.stock,
+      balanceAfter: item.stock,
+      locationBalanceAfter: locationEntry ? locationEntry.quantity : undefined,
+      reason: 'receipt',
+      reference,
+      note: 'Opening balance',
+      actor: actor ? actor._id : null,
+    };
+  }));
+};
+
+module.exports = {
+  ledgerError,
+  findVariant,
+  getLocationQuantity,
+  applyStockDelta,
+  recordMovement,
+  resolveLocation,
+  setStockLevel,
+  clearStock,
+  transferStock,
+  placeInDefaultLocation,
+  recordOpeningBalance,
+};
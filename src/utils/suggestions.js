@@ -0,0 +1,120 @@
+const Product = require('../models/product');
+const Category = require('../models/Category');
+const { toGrams, matchQuality } = require('./fuzzyMatch');
+
+// Products compared in full per request, picked by shared name trigrams
+const MAX_PRODUCT_CANDIDATES = 200;
+
+// How much popularity can lift a suggestion, on top of a match quality of up to 1
+const POPULARITY_WEIGHT = 0.1;
+
+// Categories and colors are cached for this long between suggestion requests
+const cacheMs = () => Number(process.env.SUGGESTION_CACHE_MS) || 60 * 1000;
+
+const cache = new Map();
+
+// Runs `load` at most once per cache period for a key
+const cached = async (key, load) => {
+  const entry = cache.get(key);
+  if (entry && entry.expiresAt > Date.now()) return entry.value;
+  const value = await load();
+  cache.set(key, { value, expiresAt: Date.now() + cacheMs() });
+  return value;
+};
+
+// log scale so a few best-sellers don't drown out better matches
+const popularityBoost = (popularity, maxPopularity) => (
+  maxPopularity > 0 ? (Math.log1p(Math.max(popularity, 0)) / Math.log1p(maxPopularity)) * POPULARITY_WEIGHT : 0
+);
+
+// Scores items by their best match quality across the terms plus popularity,
+// best first, dropping non-matches
+const rank = (terms, items, textOf, popularityOf) => {
+  const matches = items
+    .map(item => ({ item, quality: Math.max(...terms.map(term => matchQuality(term, textOf(item)))) }))
+    .filter(match => match.quality > 0);
+  const maxPopularity = Math.max(0, ...matches.map(match => popularityOf(match.item)));
+
+  return matches
+    .map(match => ({
+      ...match,
+      score: parseFloat((match.quality + popularityBoost(popularityOf(match.item), maxPopularity)).toFixed(4)),
+    }))
+    .sort((a, b) => b.score - a.score || textOf(a.item).localeCompare(textOf(b.item)));
+};
+
+// Products sharing the most name trigrams with the terms, discontinued ones left out
+const productCandidates = (terms) => {
+  const grams = [...new Set(terms.flatMap(toGrams))];
+  return Product.aggregate([
+    { $match: { nameGrams: { $in: grams }, status: { $ne: 'discontinued' } } },
+    {
+      $project: {
+        name: 1,
+        image: 1,
+        price: 1,
+        categoryName: 1,
+        popularity: { $ifNull: ['$popularity', 0] },
+        shared: { $size: { $setIntersection: ['$nameGrams', grams] } },
+      },
+    },
+    { $sort: { shared: -1, popularity: -1 } },
+    { $limit: MAX_PRODUCT_CANDIDATES },
+  ]);
+};
+
+// Categories with how many products they hold
+const categoryCandidates = () => cached('categories', async () => {
+  const [categories, counts] = await Promise.all([
+    Category.find().select('name').lean(),
+    Product.aggregate([{ $group: { _id: '$category', count: { $sum: 1 } } }]),
+  ]);
+  const countById = new Map(counts.map(count => [String(count._id), count.count]));
+  return categories.map(category => ({ ...category, productCount: countById.get(String(category._id)) || 0 }));
+});
+
+// Variant colors with how many products come in them
+const colorCandidates = () => cached('colors', () => Product.aggregate([
+  { $project: { color: { $setUnion: [{ $ifNull: ['$variants.color', []] }, []] } } },
+  { $unwind: '$color' },
+  { $match: { color: { $nin: [null, ''] } } },
+  { $group: { _id: '$color', productCount: { $sum: 1 } } },
+  { $project: { _id: 0, value: '$_id', productCount: 1 } },
+]));
+
+/**
+ * Autocomplete suggestions for a partly typed, possibly misspelt term,
+ * grouped into products, categories and attributes (variant colors).
+ * Each group holds up to `limit` entries ranked by match quality, then
+ * popularity: units sold for products, product counts for the others.
+ * `alternatives` are synonyms of the term that match as well as the term.
+ */
+const suggest = async (term, { limit = 5, alternatives = [] } = {}) => {
+  const terms = [term, ...alternatives];
+  const [products, categories, colors] = await Promise.all([
+    productCandidates(terms),
+    categoryCandidates(),
+    colorCandidates(),
+  ]);
+
+  return {
+    products: rank(terms, products, product => product.name, product => product.popularity)
+      .slice(0, limit)
+      .map(({ item, score }) => ({
+        _id: item._id,
+        name: item.name,
+        image: item.image,
+        price: item.price,
+        categoryName: item.categoryName,
+        score,
+      })),
+    categories: rank(terms, categories, category => category.name, category => category.productCount)
+      .slice(0, limit)
+      .map(({ item, score }) => ({ _id: item._id, name: item.name, productCount: item.productCount, score })),
+    attributes: rank(terms, colors, color => color.value, color => color.productCount)
+      .slice(0, limit)
+      .map(({ item, score }) => ({ type: 'color', value: item.value, productCount: item.productCount, score })),
+  };
+};
+
+module.exports = { suggest };
@@ -0,0 +1,143 @@
+// Escape user input before using it inside a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words the text index ignores, so they aren't highlighted either
+const STOP_WORDS = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'by', 'for', 'in', 'is', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+// Characters of description kept around the first match
+const SNIPPET_LENGTH = 160;
+
+// A rough English stem, close enough to the index's stemming to find what it matched
+const stem = (word) => word.toLowerCase().replace(/(ies|es|s|ing|ed)$/, (suffix) => (
+  word.length - suffix.length >= 3 ? (suffix === 'ies' ? 'y' : '') : suffix
+));
+
+/**
+ * Splits a search in MongoDB text syntax into its words, "quoted phrases"
+ * and -excluded words or phrases. Only the first two are highlighted.
+ */
+const parseSearchQuery = (search) => {
+  const terms = [];
+  const phrases = [];
+  const excluded = [];
+
+  const tokens = /(-?)"([^"]*)"|(-?)(\S+)/g;
+  let match;
+  while ((match = tokens.exec(String(search))) !== null) {
+    const negated = match[1] === '-' || match[3] === '-';
+    const phrase = match[2] !== undefined ? match[2].trim() : null;
+    const value = phrase !== null ? phrase : match[4];
+    if (!value) continue;
+
+    if (negated) {
+      excluded.push(value);
+    } else if (phrase !== null) {
+      phrases.push(phrase);
+      terms.push(...phrase.split(/\s+/));
+    } else {
+      terms.push(value);
+    }
+  }
+
+  return {
+    terms: [...new Set(terms.map(term => term.replace(/[^\p{L}\p{N}]/gu, '')).filter(term => (
+      term.length > 1 && !STOP_WORDS.has(term.toLowerCase())
+    )))],
+    phrases,
+    excluded,
+  };
+};
+
+// Start and end offsets of every phrase and stemmed word match, merged
+const findMatches = (text, { terms, phrases }) => {
+  const ranges = [];
+
+  phrases.forEach(phrase => {
+    const pattern = new RegExp(escapeRegex(phrase).replace(/\s+/g, '\\s+'), 'gi');
+    for (const match of text.matchAll(pattern)) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  });
+
+  const stems = new Set(terms.map(stem));
+  for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    if (stems.has(stem(match[0]))) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+};
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Returns `text` HTML-escaped with its matches wrapped in <mark>, or null
+ * when nothing matches. With `maxLength` the text is cut to a snippet around
+ * the first match.
+ */
+const highlight = (text, query, { maxLength } = {}) => {
+  if (!text) return null;
+  const value = String(text);
+  const ranges = findMatches(value, query);
+  if (ranges.length === 0) return null;
+
+  let start = 0;
+  let end = value.length;
+  if (maxLength && value.length > maxLength) {
+    start = Math.max(0, Math.min(ranges[0][0] - Math.floor(maxLength / 3), value.length - maxLength));
+    end = start + maxLength;
+    // Don't cut words in half
+    if (start > 0) {
+      const space = value.indexOf(' ', start);
+      if (space !== -1 && space < ranges[0][0]) start = space + 1;
+    }
+    if (end < value.length) {
+      const space = value.lastIndexOf(' ', end);
+      if (space > ranges[0][1]) end = space;
+    }
+  }
+
+  let html = '';
+  let position = start;
+  ranges.filter(([from, to]) => from >= start && to <= end).forEach(([from, to]) => {
+    html += `${escapeHtml(value.slice(position, from))}<mark>${escapeHtml(value.slice(from, to))}</mark>`;
+    position = to;
+  });
+  html += escapeHtml(value.slice(position, end));
+
+  return `${start > 0 ? '…' : ''}${html}${end < value.length ? '…' : ''}`;
+};
+
+// Highlighted name, description snippet and category of a product, for the fields that matched
+const highlightProduct = (product, query) => {
+  const highlights = {};
+  const name = highlight(product.name, query);
+  const description = highlight(product.description, query, { maxLength: SNIPPET_LENGTH });
+  const categoryName = highlight(product.categoryName, query);
+  if (name) highlights.name = name;
+  if (description) highlights.description = description;
+  if (categoryName) highlights.categoryName = categoryName;
+  return highlights;
+};
+
+module.exports = {
+  escapeRegex,
+  parseSearchQuery,
+  highlight,
+  highlightProduct,
+};
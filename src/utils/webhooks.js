@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+const maxAttempts = () => Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const retryBaseMs = () => Number(process.env.WEBHOOK_RETRY_BASE_MS) || 60 * 1000;
+const timeoutMs = () => Number(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+
+const MAX_RETRY_DELAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RESPONSE_BODY_LENGTH = 2000;
+const RETRY_BATCH_SIZE = 50;
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+// Signature of `<timestamp>.<body>`, receivers recompute it with their copy of the secret
+const signPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+// Exponential backoff: the base delay, then twice that, four times, ... capped at a day
+const retryDelay = (attempts) => Math.min(retryBaseMs() * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+
+const buildBody = (delivery) => JSON.stringify({
+  id: delivery._id,
+  event: delivery.event,
+  createdAt: delivery.createdAt,
+  data: delivery.data,
+});
+
+/**
+ * Makes one attempt to send a pending delivery. The delivery is claimed first
+ * by pushing nextAttemptAt past the request timeout, so the retry job and a
+ * request can't send it at the same time. Returns the updated delivery, or
+ * null when it wasn't due.
+ */
+const attemptDelivery = async (deliveryId) => {
+  const now = new Date();
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    {
+      nextAttemptAt: new Date(now.getTime() + timeoutMs() * 2),
+      lastAttemptAt: now,
+      $inc: { attempts: 1 },
+    },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  if (!webhook || !webhook.isActive) {
+    delivery.status = 'failed';
+    delivery.error = webhook ? 'Webhook is disabled' : 'Webhook was deleted';
+    return delivery.save();
+  }
+
+  const body = buildBody(delivery);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Id': String(webhook._id),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`,
+      },
+      body,
+      signal: AbortSignal.timeout(timeoutMs()),
+    });
+    const text = await response.text().catch(() => '');
+
+    delivery.responseStatus = response.status;
+    delivery.responseBody = text.slice(0, MAX_RESPONSE_BODY_LENGTH);
+    delivery.error = response.ok ? undefined : `Endpoint responded with ${response.status}`;
+    if (response.ok) {
+      delivery.status = 'succeeded';
+      delivery.deliveredAt = new Date();
+      return delivery.save();
+    }
+  } catch (error) {
+    delivery.responseStatus = undefined;
+    delivery.responseBody = undefined;
+    delivery.error = error.message;
+  }
+
+  if (delivery.attempts >= maxAttempts()) {
+    delivery.status = 'failed';
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts));
+  }
+  return delivery.save();
+};
+
+/**
+ * Queues an event for every active webhook subscribed to it and sends the
+ * first attempt in the background. Never throws, a failing notification
+ * shouldn't fail the change that triggered it.
+ */
+const emitEvent = async (event, data) => {
+  try {
+    const webhooks = await Webhook.find({ isActive: true, events: event }).select('_id');
+    if (webhooks.length === 0) return [];
+
+    const payload = data && typeof data.toJSON === 'function' ? data.toJSON() : data;
+    const deliveries = await WebhookDelivery.insertMany(
+      webhooks.map(webhook => ({ webhook: webhook._id, event, data: payload }))
+    );
+
+    deliveries.forEach(delivery => {
+      attemptDelivery(delivery._id).catch(error => {
+        console.error(`Webhook delivery ${delivery._id} failed:`, error);
+      });
+    });
+    return deliveries;
+  } catch (error) {
+    console.error(`Failed to queue webhook event ${event}:`, error);
+    return [];
+  }
+};
+
+// Sends deliveries whose retry is due, run periodically by the scheduler
+const retryPendingDeliveries = async () => {
+  const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(RETRY_BATCH_SIZE)
+    .select('_id');
+
+  for (const delivery of due) {
+    await attemptDelivery(delivery._id);
+  }
+  return due.length;
+};
+
+// Sends an earlier delivery again as a new delivery, whatever its outcome was
+const redeliver = async (deliveryId) => {
+  const original = await WebhookDelivery.findById(deliveryId);
+  if (!original) return null;
+
+  const delivery = await WebhookDelivery.create({
+    webhook: original.webhook,
+    event: original.event,
+    data: original.data,
+    redeliveryOf: original._id,
+  });
+  return (await attemptDelivery(delivery._id)) || delivery;
+};
+
+module.exports = {
+  generateSecret,
+  signPayload,
+  emitEvent,
+  attemptDelivery,
+  retryPendingDeliveries,
+  redeliver,
+};
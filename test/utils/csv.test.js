@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, parseCsvRecords, toCsvLine, guardFormula, unguardFormula } = require('../../src/utils/csv');
+
+test('parseCsv splits rows and fields', () => {
+  assert.deepEqual(parseCsv('a,b,c\n1,2,3'), [['a', 'b', 'c'], ['1', '2', '3']]);
+});
+
+test('parseCsv reads quoted fields with separators, escaped quotes and line breaks', () => {
+  assert.deepEqual(parseCsv('"a,b","say ""hi""","two\nlines"'), [['a,b', 'say "hi"', 'two\nlines']]);
+});
+
+test('parseCsv accepts CRLF and CR line endings and a trailing line break', () => {
+  assert.deepEqual(parseCsv('a,b\r\n1,2\r3,4\r\n'), [['a', 'b'], ['1', '2'], ['3', '4']]);
+});
+
+test('parseCsv keeps empty fields and skips blank lines', () => {
+  assert.deepEqual(parseCsv('a,,c\n\n  \n,b,\n'), [['a', '', 'c'], ['', 'b', '']]);
+});
+
+test('parseCsv strips a byte order mark', () => {
+  assert.deepEqual(parseCsv('\uFEFFsku,name\nA1,Shirt'), [['sku', 'name'], ['A1', 'Shirt']]);
+});
+
+test('parseCsv rejects an unterminated quoted field', () => {
+  assert.throws(() => parseCsv('a,"b\n1,2'), /Unterminated quoted field/);
+});
+
+test('parseCsvRecords keys the rows by their trimmed header', () => {
+  assert.deepEqual(parseCsvRecords(' sku ,name\nA1\nA2,Shirt'), [
+    { sku: 'A1', name: '' },
+    { sku: 'A2', name: 'Shirt' },
+  ]);
+  assert.deepEqual(parseCsvRecords(''), []);
+});
+
+test('parseCsv reads back what toCsvLine writes', () => {
+  const values = ['plain', 'a,b', 'say "hi"', 'two\r\nlines', ' padded '];
+  assert.deepEqual(parseCsv(toCsvLine(values)), [values]);
+});
+
+test('guardFormula prefixes text a spreadsheet would run as a formula', () => {
+  assert.equal(guardFormula('=SUM(A1:A9)'), "'=SUM(A1:A9)");
+  assert.equal(guardFormula('@cmd'), "'@cmd");
+  assert.equal(guardFormula('-5'), "'-5");
+  assert.equal(guardFormula('Shirt'), 'Shirt');
+  assert.equal(guardFormula(-5), -5);
+  assert.equal(guardFormula(undefined), undefined);
+});
+
+test('unguardFormula gives back what guardFormula was given', () => {
+  ['=1+1', "'=1+1", "''+x", "It's", "'quoted'", 'Shirt', '-5', 7].forEach(value => {
+    assert.equal(unguardFormula(guardFormula(value)), value);
+  });
+});
@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { prefixDistance, matchQuality } = require('../../src/utils/fuzzyMatch');
+
+test('prefixDistance is zero for a prefix of the word', () => {
+  assert.equal(prefixDistance('tsh', 'tshirt'), 0);
+  assert.equal(prefixDistance('', 'tshirt'), 0);
+});
+
+test('prefixDistance counts a swap of adjacent letters as one edit', () => {
+  assert.equal(prefixDistance('tshrit', 'tshirt'), 1);
+  assert.equal(prefixDistance('shrit', 'shirt'), 1);
+});
+
+test('prefixDistance counts missing, extra and wrong letters', () => {
+  assert.equal(prefixDistance('shrt', 'shirt'), 1);
+  assert.equal(prefixDistance('shiirt', 'shirt'), 1);
+  assert.equal(prefixDistance('shjrt', 'shirt'), 1);
+  assert.equal(prefixDistance('abc', ''), 3);
+});
+
+test('matchQuality is 1 when the text starts with the term, ignoring case and punctuation', () => {
+  assert.equal(matchQuality('tshirt', 'T-Shirt'), 1);
+  assert.equal(matchQuality('red shi', 'Red Shirt'), 0.95);
+});
+
+test('matchQuality costs typos and matches on later words', () => {
+  assert.equal(matchQuality('shirt', 'Red Shirt'), 0.9);
+  assert.equal(matchQuality('tshrit', 'T-Shirt'), 1 - 1 / 6);
+  assert.equal(matchQuality('shrt', 'Red Shirt'), 0.75 * 0.9);
+});
+
+test('matchQuality is 0 beyond the typos allowed for the term length', () => {
+  // Terms of 3 letters or fewer allow no typo, 4 to 6 letters allow one
+  assert.equal(matchQuality('cat', 'Cot'), 0);
+  assert.equal(matchQuality('shrtt', 'Red Sweater'), 0);
+  assert.equal(matchQuality('', 'Shirt'), 0);
+});
@@ -0,0 +1,18 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { suggestedOrderQuantity } = require('../../src/utils/replenishment');
+
+test('suggestedOrderQuantity orders the reorder quantity when it lifts stock above the target', () => {
+  assert.equal(suggestedOrderQuantity({ stock: 3, reorderPoint: 5, safetyStock: 2, reorderQuantity: 20 }), 20);
+});
+
+test('suggestedOrderQuantity orders enough to pass the reorder point plus safety stock', () => {
+  // Target 5 + 10 = 15, so 15 - 2 + 1 units lift stock just above it
+  assert.equal(suggestedOrderQuantity({ stock: 2, reorderPoint: 5, safetyStock: 10, reorderQuantity: 4 }), 14);
+});
+
+test('suggestedOrderQuantity treats missing levels as zero', () => {
+  assert.equal(suggestedOrderQuantity({}), 1);
+  assert.equal(suggestedOrderQuantity({ stock: 8, reorderPoint: 5 }), 0);
+  assert.equal(suggestedOrderQuantity({ stock: 8, reorderQuantity: 6 }), 6);
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { expandKeyword } = require('../../src/utils/searchRules');
+
+// Rules shaped like the loaded ones: normalized term => alternatives as written
+const buildRules = (expansions) => {
+  const map = new Map(Object.entries(expansions).map(([term, alternatives]) => (
+    [term, new Map(alternatives.map(alternative => [alternative.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ''), alternative]))]
+  )));
+  return {
+    expansions: map,
+    maxTermWords: Math.max(1, ...[...map.keys()].map(key => key.split(' ').length)),
+    redirects: new Map(),
+  };
+};
+
+const rules = buildRules({
+  grey: ['gray'],
+  gray: ['grey'],
+  sneakers: ['trainers', 'running shoes'],
+  'tee shirt': ['T-Shirt'],
+  tee: ['top'],
+});
+
+test('expandKeyword adds the synonyms of each word', () => {
+  assert.equal(expandKeyword(rules, 'grey sneakers'), 'grey sneakers gray trainers running shoes');
+});
+
+test('expandKeyword matches the longest multi-word term first, ignoring case', () => {
+  assert.equal(expandKeyword(rules, 'Tee Shirt'), 'Tee Shirt T-Shirt');
+  assert.equal(expandKeyword(rules, 'tee'), 'tee top');
+});
+
+test('expandKeyword leaves quoted phrases and excluded words alone', () => {
+  assert.equal(expandKeyword(rules, '"grey" -sneakers'), '"grey" -sneakers');
+});
+
+test('expandKeyword skips synonyms already in the keyword', () => {
+  assert.equal(expandKeyword(rules, 'grey gray'), 'grey gray');
+});
+
+test('expandKeyword returns the keyword unchanged without matching rules', () => {
+  assert.equal(expandKeyword(rules, 'jeans'), 'jeans');
+  assert.equal(expandKeyword(rules, ''), '');
+  assert.equal(expandKeyword(buildRules({}), 'grey'), 'grey');
+});
@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSearchQuery, highlight } = require('../../src/utils/textSearch');
+
+test('parseSearchQuery splits words, quoted phrases and excluded words', () => {
+  assert.deepEqual(parseSearchQuery('"red shirt" cotton -kids -"long sleeve"'), {
+    terms: ['red', 'shirt', 'cotton'],
+    phrases: ['red shirt'],
+    excluded: ['kids', 'long sleeve'],
+  });
+});
+
+test('parseSearchQuery drops stop words, single letters, punctuation and repeats', () => {
+  assert.deepEqual(parseSearchQuery('The a-line dress, x dress').terms, ['aline', 'dress']);
+});
+
+test('parseSearchQuery ignores empty phrases', () => {
+  assert.deepEqual(parseSearchQuery('"" -""'), { terms: [], phrases: [], excluded: [] });
+});
+
+test('highlight marks stemmed words and phrases and escapes the text', () => {
+  const query = parseSearchQuery('shirts "red cotton"');
+  assert.equal(highlight('Red Cotton Shirt & <tie>', query), '<mark>Red Cotton</mark> <mark>Shirt</mark> &amp; &lt;tie&gt;');
+});
+
+test('highlight returns null without a match or a text', () => {
+  const query = parseSearchQuery('shirt');
+  assert.equal(highlight('Blue jeans', query), null);
+  assert.equal(highlight(undefined, query), null);
+});
+
+test('highlight cuts long text to a snippet around the first match without splitting words', () => {
+  const text = 'A very long description that talks about many things before it finally mentions '
+    + 'the shirt somewhere in the middle of it all and then goes on';
+  assert.equal(highlight(text, parseSearchQuery('shirt'), { maxLength: 40 }), '…the <mark>shirt</mark> somewhere in the…');
+});